@@ -0,0 +1,48 @@
+/**
+ * Updates the CT log list snapshot shipped with the extension:
+ *   data/log_list.json - Snapshot used when no list can be fetched
+ *
+ * The snapshot is only written if its signature verifies against the committed
+ * data/log_list_pubkey.pem. The key is never downloaded here: fetching it from
+ * the same origin as the list and signature would prove nothing. It is added to
+ * the repository by hand, after checking it against an independent source.
+ * Run before each release: npm run update-log-list
+ */
+
+import { createVerify } from 'node:crypto';
+import { readFile, writeFile } from 'node:fs/promises';
+
+const BASE_URL = 'https://www.gstatic.com/ct/log_list/v3/';
+const DATA_DIR = new URL('../data/', import.meta.url);
+
+async function download(name) {
+  const response = await fetch(BASE_URL + name);
+  if (!response.ok) {
+    throw new Error(`${name}: HTTP ${response.status}`);
+  }
+  return Buffer.from(await response.arrayBuffer());
+}
+
+let pem;
+try {
+  pem = await readFile(new URL('log_list_pubkey.pem', DATA_DIR));
+} catch (error) {
+  console.error(`data/log_list_pubkey.pem is missing (${error.code}), add Google's log list key before updating the list`);
+  process.exit(1);
+}
+
+const [list, signature] = await Promise.all([
+  download('log_list.json'),
+  download('log_list.sig')
+]);
+
+const verifier = createVerify('SHA256');
+verifier.update(list);
+if (!verifier.verify(pem.toString(), signature)) {
+  console.error('log_list.sig does not verify against data/log_list_pubkey.pem, nothing written');
+  process.exit(1);
+}
+
+const { version, log_list_timestamp: timestamp } = JSON.parse(list.toString());
+await writeFile(new URL('log_list.json', DATA_DIR), list);
+console.log(`Wrote log list version ${version} of ${timestamp} to data/`);
@@ -8,15 +8,50 @@
  **/
 
 import { Convert } from 'pvtsutils';
+import {
+  isRetryable,
+  enqueueRecheck,
+  recordRecheckAttempt,
+  dequeueRechecks,
+  getDueRechecks,
+  getNextRecheckTime
+} from '../utils/recheck-queue.js';
+import sthLedger from '../utils/sth-ledger.js';
+import { checkCertificateChange } from '../utils/cert-history.js';
+import {
+  fetchLogList,
+  loadStoredLogList,
+  storeLogList,
+  loadBundledLogList,
+  isOlderThanStored
+} from '../utils/log-list.js';
+import {
+  SETTINGS_STORAGE_KEY,
+  DEFAULT_SETTINGS,
+  GOOGLE_LOG_LIST_URL,
+  loadSettings,
+  saveSettings
+} from '../utils/settings.js';
+import { findSiteRule } from '../utils/site-rules.js';
+import { checkIssuerPin } from '../utils/issuer-pins.js';
+import { VerificationCache, getCertificateFingerprint } from '../utils/verification-cache.js';
 
 /**
- * Storage for certificate information indexed by tab ID
- * Structure: { tabId: { url: string, scts: Array, certificateChain: Array, timestamp: number } }
+ * Verifications by leaf certificate fingerprint (LRU with verdict-based expiry).
+ * Holds the certificate chain, SCTs and verification result.
+ */
+const verificationCache = new VerificationCache({ onEvict: forgetFingerprint });
+
+/**
+ * Connection views indexed by tab ID. A view points into verificationCache:
+ * { fingerprint, url, hostname, timestamp, securityState, protocolVersion,
+ *   cipherSuite, ctStatus, securityFlags, siteRule }
  */
 const certificateCache = new Map();
 
 /**
- * Fallback cache indexed by hostname for Service Worker requests (tabId = -1)
+ * Fallback views indexed by hostname for Service Worker requests (tabId = -1).
+ * Dropped with the verificationCache entry they point to.
  */
 const hostCertCache = new Map();
 
@@ -27,18 +62,107 @@ const hostCertCache = new Map();
 const notifiedHosts = new Set();
 
 /**
- * CT log list cache
+ * Verdict levels that show the in-page toast
+ */
+const TOAST_VERDICTS = ['unverifiable', 'suspicious', 'attack'];
+
+/**
+ * Verdicts that block a navigation under enforcement (hard failures)
+ */
+const BLOCKING_VERDICTS = ['suspicious', 'attack'];
+
+/**
+ * Shown on the interstitial page when an enforced host's verification failed
+ * with an error: enforcement fails closed
+ */
+const VERIFICATION_ERROR_VERDICT = {
+  level: 'error',
+  title: 'Certificate transparency could not be checked',
+  summary: 'verification failed with an error',
+  reasons: ['verification_error']
+};
+
+/**
+ * Shown on the interstitial page when the browser gave no certificate chain for
+ * an enforced host's connection: there is nothing to verify, so it is not loaded
+ */
+const NO_CERTIFICATE_VERDICT = {
+  level: 'unverifiable',
+  title: 'Certificate not available',
+  summary: 'no certificate chain was available for the connection',
+  reasons: ['no_certificate']
+};
+
+const INTERSTITIAL_PAGE = 'src/interstitial/interstitial.html';
+
+/**
+ * Navigations redirected to the interstitial page, by ID:
+ * { url, hostname, fingerprint, verdict, issuerPin, scts }. The oldest are
+ * dropped beyond MAX_BLOCKED_NAVIGATIONS.
+ */
+const blockedNavigations = new Map();
+const MAX_BLOCKED_NAVIGATIONS = 50;
+
+/**
+ * Certificates the user proceeded to from the interstitial page (this
+ * session), as "hostname fingerprint": a different certificate for the same
+ * host is blocked again
+ */
+const bypassedCertificates = new Set();
+
+/**
+ * Storage key and size of the log of "proceed anyway" decisions
+ */
+const BYPASS_LOG_KEY = 'enforcementBypassLog';
+const MAX_BYPASS_LOG_ENTRIES = 100;
+
+/**
+ * Alarm that drives the persistent re-check queue
+ */
+const RECHECK_ALARM = 'ct-recheck-queue';
+
+/**
+ * Delay before the re-check queue is tried again when it could not be read
+ */
+const RECHECK_RETRY_MINUTES = 5;
+
+/**
+ * CT log list cache: ctLogListMap is built from the log list alone,
+ * ctLogList adds the custom logs from the settings
  */
 let ctLogList = null;
+let ctLogListMap = null;
 let ctLogListPromise = null;
-// Demo: merged list (Google's logs + attack simulation logs) served by the CT log server.
-// Production: 'https://www.gstatic.com/ct/log_list/v3/log_list.json'
-const CT_LOG_LIST_URL = 'https://logs.jvgc-a.com/log-list.json';
+let ctLogListLoading = false;
+
+/**
+ * How long SCT processing waits for the log list before giving up on log metadata
+ */
+const LOG_LIST_WAIT_MS = 30 * 1000;
+
+/**
+ * Where the loaded log list came from: { source, version, timestamp, signature }
+ */
+let ctLogListInfo = null;
+
+/**
+ * Alarm that refreshes the CT log list, and its period
+ */
+const LOG_LIST_ALARM = 'ct-log-list-refresh';
+const LOG_LIST_REFRESH_MINUTES = 6 * 60;
 
 /**
- * Backend API URL for STH consistency verification
+ * Current settings (log list URL, monitors, policy, notifications, timeouts),
+ * with managed values applied. Replaced when the options page stores new
+ * settings or the enterprise policy changes.
  */
-const BACKEND_URL = 'https://api.jvgc-a.com';
+let settings = { ...DEFAULT_SETTINGS };
+
+/**
+ * The user's own settings and the fields locked by enterprise policy, for the options page
+ */
+let userSettings = { ...DEFAULT_SETTINGS };
+let lockedSettings = [];
 
 /**
  * Listener for web requests - captures security information including certificates and SCTs
@@ -51,7 +175,11 @@ const BACKEND_URL = 'https://api.jvgc-a.com';
  * and certificate extraction (both fast, local operations), then dispatches
  * CT log verification as fire-and-forget so page loading is not blocked.
  *
+ * For hosts under enforcement the navigation is held until verification
+ * finishes instead, and redirected to the interstitial page on a hard failure.
+ *
  * @param {object} details - Request details from webRequest API
+ * @returns {Promise<object|undefined>} A redirect to the interstitial page, if blocked
  */
 browser.webRequest.onHeadersReceived.addListener(
   async (details) => {
@@ -72,6 +200,7 @@ browser.webRequest.onHeadersReceived.addListener(
       return;
     }
 
+    let fingerprint = null;
     try {
       // getSecurityInfo() must be awaited while the request context is still valid.
       // This is a fast local operation (reads already-completed TLS state).
@@ -85,34 +214,97 @@ browser.webRequest.onHeadersReceived.addListener(
 
       if (!securityInfo) {
         console.warn(`[CT Guard] No security info available for ${details.url}`);
-        return;
+        return getNoCertificateResponse(details.url, hasTab, hostname);
       }
 
       console.log(`[CT Guard] Retrieved security info`, securityInfo);
 
-      // Certificate extraction is CPU-only (ASN.1 parsing), fast.
-      const certData = extractCertificateData(securityInfo, details.url);
+      if (!securityInfo.certificates?.length) {
+        console.warn(`[CT Guard] No certificate chain available for ${details.url}`);
+        return getNoCertificateResponse(details.url, hasTab, hostname);
+      }
+
+      // Certificate extraction is CPU-only (ASN.1 parsing), fast; a certificate
+      // already in the verification cache is not parsed again.
+      fingerprint = await getCertificateFingerprint(securityInfo.certificates[0].rawDER);
+      const entry = verificationCache.get(fingerprint)
+        || verificationCache.set(fingerprint, { ...extractCertificateData(securityInfo), fingerprint });
+
+      const view = createConnectionView(securityInfo, details.url, hostname, fingerprint);
+      hostCertCache.set(hostname, view);
+      if (hasTab) {
+        certificateCache.set(tabId, view);
+      }
+
+      // Ignored sites keep their certificate details for the popup, but are not verified
+      const siteRule = findSiteRule(hostname, settings.siteRules);
+      if (siteRule?.action === 'ignore') {
+        view.siteRule = siteRule;
+        if (hasTab) {
+          browser.browserAction.setBadgeText({ text: '', tabId });
+        }
+        console.log(`[CT Guard] Not verifying ${hostname}: ignored by rule ${siteRule.pattern}`);
+        return;
+      }
+
+      // Certificate history is not kept for private browsing
+      if (!details.incognito) {
+        trackCertificateChange(view, entry.identity).catch(error => {
+          console.error(`[CT Guard] Failed to check certificate history:`, error);
+        });
+      }
+
+      // The allowed-issuer rule only needs the chain, so it applies whatever the CT result
+      view.issuerPin = checkSiteIssuerPin(entry.certificates, hostname);
+      const issuerRejected = view.issuerPin?.matched === false;
+      if (issuerRejected) {
+        console.warn(`[CT Guard] ${view.issuerPin.detail}`);
+      }
 
-      certData.verificationStatus = 'verifying';
-      hostCertCache.set(hostname, certData);
       if (hasTab) {
-        certificateCache.set(tabId, certData);
-        updateBadge(tabId, 'verifying');
+        updateBadge(tabId, entry.verificationStatus === 'complete' ? getSiteVerification(entry, hostname).verdict.level
+          : issuerRejected ? 'suspicious' : 'verifying');
       }
 
-      console.log(`[CT Guard] Extracted certificate data`, certData);
+      console.log(`[CT Guard] Certificate ${fingerprint} (${entry.verificationStatus})`, entry);
+
+      if (hasTab && issuerRejected && isEnforced(hostname, fingerprint)) {
+        const verification = entry.verificationStatus === 'complete'
+          ? getSiteVerification(entry, hostname)
+          : getIssuerPinVerification(view.issuerPin);
+        console.warn(`[CT Guard] Blocked ${details.url}: ${verification.verdict.title}`);
+        return { redirectUrl: getInterstitialUrl(verification, details.url, hostname, fingerprint) };
+      }
+
+      if (hasTab && issuerRejected && !notifiedHosts.has(hostname)) {
+        notifiedHosts.add(hostname);
+        notifyVerificationFailure(tabId, details.url, getIssuerPinVerification(view.issuerPin).verdict);
+      }
+
+      if (hasTab && isEnforced(hostname, fingerprint)) {
+        // Enforcement: hold the navigation until the verdict is known
+        const verdict = await runVerificationAsync(entry, tabId, hasTab, hostname, details.url, { enforced: true });
+        if (!verdict) {
+          console.warn(`[CT Guard] Blocked ${details.url}: verification failed`);
+          return { redirectUrl: getErrorInterstitialUrl(details.url, hostname, fingerprint) };
+        }
+        if (BLOCKING_VERDICTS.includes(verdict.level)) {
+          console.warn(`[CT Guard] Blocked ${details.url}: ${verdict.title}`);
+          return { redirectUrl: getInterstitialUrl(getSiteVerification(entry, hostname), details.url, hostname, fingerprint) };
+        }
+        return;
+      }
 
       // Fire-and-forget: CT log verification runs in background.
       // NOT awaited — the blocking handler returns here, unblocking page load.
-      runVerificationAsync(certData, tabId, hasTab, hostname, details.url);
+      runVerificationAsync(entry, tabId, hasTab, hostname, details.url);
 
     } catch (error) {
       console.error(`[CT Guard] Error extracting certificate:`, error);
       if (hasTab) {
-        updateBadge(tabId, 'fail');
-        const certData = certificateCache.get(tabId);
-        if (certData) {
-          certData.verificationStatus = 'error';
+        updateBadge(tabId, 'error');
+        if (isEnforced(hostname, fingerprint)) {
+          return { redirectUrl: getErrorInterstitialUrl(details.url, hostname, fingerprint) };
         }
         if (!notifiedHosts.has(hostname)) {
           notifiedHosts.add(hostname);
@@ -127,13 +319,70 @@ browser.webRequest.onHeadersReceived.addListener(
 );
 
 /**
- * Runs SCT verification asynchronously (not blocking page load).
+ * Runs SCT verification asynchronously (not blocking page load, unless the
+ * caller awaits it for enforcement). A certificate with a cached result is
+ * not verified again, and one being verified for another tab is waited for.
+ * @param {object} entry - verificationCache entry of the certificate
+ * @param {object} [options]
+ * @param {boolean} [options.enforced] - The caller blocks the page on a hard
+ *   failure, so no in-page toast is shown for one
+ * @returns {Promise<object|null>} The verdict for the host, or null if verification failed
+ */
+async function runVerificationAsync(entry, tabId, hasTab, hostname, url, { enforced = false } = {}) {
+  try {
+    if (entry.verificationStatus !== 'complete') {
+      entry.pending ??= verifyCertificate(entry, hostname, url).finally(() => { entry.pending = null; });
+      await entry.pending;
+    }
+
+    const { verdict } = getSiteVerification(entry, hostname);
+    if (hasTab) {
+      updateBadge(tabId, verdict.level);
+
+      const blocked = enforced && BLOCKING_VERDICTS.includes(verdict.level);
+      if (!blocked && TOAST_VERDICTS.includes(verdict.level) && !notifiedHosts.has(hostname)) {
+        notifiedHosts.add(hostname);
+        notifyVerificationFailure(tabId, url, verdict);
+      }
+    }
+    return verdict;
+  } catch (error) {
+    console.error(`[CT Guard] Verification error:`, error);
+
+    if (hasTab) {
+      updateBadge(tabId, 'error');
+
+      // Under enforcement the caller shows the interstitial page instead
+      if (!enforced && !notifiedHosts.has(hostname)) {
+        notifiedHosts.add(hostname);
+        notifyVerificationFailure(tabId, url, null);
+      }
+    }
+    return null;
+  }
+}
+
+/**
+ * Verifies a certificate's SCTs and stores the result in its cache entry.
+ * Throws if verification fails; the entry is then marked 'error'.
  */
-async function runVerificationAsync(certData, tabId, hasTab, hostname, url) {
+async function verifyCertificate(certData, hostname, url) {
+  certData.verificationStatus = 'verifying';
   try {
     const verifyStartTime = performance.now();
 
-    const verificationResult = await ctVerify.verifyCertificateSCTs(certData, BACKEND_URL);
+    // Pages loaded before the log list is ready wait for it rather than failing
+    const logList = await waitForLogList();
+    if (logList) {
+      certData.scts = injectLogInfo(certData.scts);
+    } else {
+      console.warn('[CT Guard] CT log list unavailable, verifying without log metadata');
+    }
+
+    const verificationResult = await ctVerify.verifyCertificateSCTs(certData, {
+      ...getVerifyOptions(hostname),
+      logListAvailable: Boolean(logList)
+    });
 
     const verifyEndTime = performance.now();
     const verificationTimeMs = Math.round(verifyEndTime - verifyStartTime);
@@ -145,43 +394,447 @@ async function runVerificationAsync(certData, tabId, hasTab, hostname, url) {
       verificationTimeMs
     };
     certData.verificationStatus = 'complete';
+    verificationCache.refresh(certData.fingerprint);
 
-    const anyVerified = verificationResult.verified >= 1;
-    if (hasTab) {
-      updateBadge(tabId, anyVerified ? 'ok' : 'fail');
+    queueRechecks(verificationResult.results, hostname, url).catch(error => {
+      console.error(`[CT Guard] Failed to queue SCT re-checks:`, error);
+    });
+  } catch (error) {
+    certData.verificationStatus = 'error';
+    verificationCache.refresh(certData.fingerprint);
+    throw error;
+  }
+}
 
-      if (!anyVerified && !notifiedHosts.has(hostname)) {
-        notifiedHosts.add(hostname);
-        notifyVerificationFailure(tabId, url, verificationResult);
-      }
+/**
+ * A certificate's verification as it applies to a host. The verification
+ * policy can differ per host (strict site rule), and the host can have an
+ * allowed-issuer rule, so policy and verdict are re-evaluated from the cached
+ * per-SCT results when either applies.
+ * @returns {object} sctVerification with the host's policy, issuerPin and verdict
+ */
+function getSiteVerification(entry, hostname) {
+  const verification = entry.sctVerification;
+  const policyId = getSitePolicy(hostname);
+  const issuerPin = checkSiteIssuerPin(entry.certificates, hostname);
+  if (verification.policy.id === policyId && !issuerPin) return verification;
+
+  const policy = verification.policy.id === policyId
+    ? verification.policy
+    : ctVerify.evaluateVerificationPolicy(verification.results, policyId);
+  const hostVerification = {
+    ...verification,
+    policy,
+    verified: policy.counted,
+    issuerPin
+  };
+  hostVerification.verdict = ctVerify.computeVerdict(hostVerification);
+  return hostVerification;
+}
+
+/**
+ * Checks a certificate chain against the host's allowed-issuer rule
+ * @returns {object|null} checkIssuerPin result, or null if the host has no rule
+ */
+function checkSiteIssuerPin(certificates, hostname) {
+  const pin = findSiteRule(hostname, settings.issuerPins);
+  return pin ? checkIssuerPin(certificates, pin) : null;
+}
+
+/**
+ * Verification for a host whose certificate failed its allowed-issuer rule
+ * before CT verification completed (or when it failed with an error)
+ */
+function getIssuerPinVerification(issuerPin) {
+  return {
+    results: [],
+    issuerPin,
+    verdict: {
+      level: 'suspicious',
+      title: 'Certificate issuer not allowed',
+      summary: 'issuer rule not met',
+      reasons: ['issuer_not_allowed']
+    }
+  };
+}
+
+/**
+ * Builds the per-connection part of the certificate data shown in the popup.
+ * The certificate chain, SCTs and verification live in verificationCache.
+ */
+function createConnectionView(securityInfo, url, hostname, fingerprint) {
+  return {
+    fingerprint,
+    url,
+    hostname,
+    timestamp: Date.now(),
+    securityState: securityInfo.state,
+    protocolVersion: securityInfo.protocolVersion || "unknown",
+    cipherSuite: securityInfo.cipherSuite || "unknown",
+    ctStatus: securityInfo.certificateTransparencyStatus,
+    // Additional security flags from Firefox
+    securityFlags: {
+      hsts: securityInfo.hsts || false,
+      hpkp: securityInfo.hpkp || false,
+      usedEch: securityInfo.usedEch || false,
+      usedOcsp: securityInfo.usedOcsp || false,
+      usedDelegatedCredentials: securityInfo.usedDelegatedCredentials || false,
+      isExtendedValidation: securityInfo.isExtendedValidation || false
+    },
+    siteRule: null,
+    issuerPin: null
+  };
+}
+
+/**
+ * Joins a connection view with its certificate's cached verification
+ * @returns {object|null} Certificate data for the popup, or null if the certificate left the cache
+ */
+function resolveConnectionView(view) {
+  const entry = verificationCache.get(view.fingerprint);
+  if (!entry) return null;
+
+  if (view.siteRule) {
+    return { ...view, certificates: entry.certificates, scts: entry.scts, verificationStatus: 'ignored' };
+  }
+  return {
+    ...view,
+    certificates: entry.certificates,
+    scts: entry.scts,
+    verificationStatus: entry.verificationStatus === 'unverified' ? 'verifying' : entry.verificationStatus,
+    sctVerification: entry.verificationStatus === 'complete' ? getSiteVerification(entry, view.hostname) : undefined
+  };
+}
+
+/**
+ * Compares the host's certificate with the one seen on earlier visits. A new
+ * issuer or key raises a "certificate changed" alert; a renewal with the same
+ * issuer and key is only shown in the popup.
+ */
+async function trackCertificateChange(view, identity) {
+  const change = await checkCertificateChange(view.hostname, identity);
+  if (change.status !== 'renewed' && change.status !== 'changed') return;
+
+  view.certChange = change;
+  if (change.status === 'renewed') {
+    console.log(`[CT Guard] Certificate for ${view.hostname} renewed (same issuer and key)`);
+    return;
+  }
+
+  console.warn(`[CT Guard] Certificate for ${view.hostname} changed (${change.changes.join(', ')})`, change);
+  notifyCertificateChange(view.hostname, change);
+}
+
+/**
+ * Drops the host views of a certificate that left the verification cache
+ */
+function forgetFingerprint(fingerprint) {
+  for (const [hostname, view] of hostCertCache) {
+    if (view.fingerprint === fingerprint) hostCertCache.delete(hostname);
+  }
+}
+
+/**
+ * Whether navigations to a host are held for verification: by its site rule,
+ * or for sites without one, by the enforcement mode. A certificate the user
+ * chose to proceed to from the interstitial is not blocked again this session.
+ * @param {string} hostname
+ * @param {string|null} fingerprint - Leaf certificate fingerprint, if known
+ */
+function isEnforced(hostname, fingerprint) {
+  if (bypassedCertificates.has(`${hostname} ${fingerprint}`)) return false;
+  const rule = findSiteRule(hostname, settings.siteRules);
+  if (rule) return rule.action === 'enforce' || rule.action === 'strict';
+  return settings.enforcementMode === 'all';
+}
+
+/**
+ * The verification policy for a host: strict under a 'strict' site rule,
+ * otherwise the one from the settings
+ */
+function getSitePolicy(hostname) {
+  return findSiteRule(hostname, settings.siteRules)?.action === 'strict' ? 'strict' : settings.verificationPolicy;
+}
+
+/**
+ * Sets (or with a null action, removes) the site rule for an exact hostname.
+ * Stored in the user's settings; the storage listener applies it.
+ */
+async function setSiteRule(hostname, action) {
+  const siteRules = userSettings.siteRules.filter(rule => rule.pattern !== hostname);
+  if (action) siteRules.push({ pattern: hostname, action });
+  await saveSettings({ ...userSettings, siteRules });
+}
+
+/**
+ * Stores the settings from the options page. Locked fields keep the user's
+ * own value, which applies again if the policy is lifted.
+ */
+async function saveUserSettings(newSettings) {
+  const lockedValues = Object.fromEntries(lockedSettings.map(field => [field, userSettings[field]]));
+  await saveSettings({ ...newSettings, ...lockedValues });
+}
+
+/**
+ * Remembers a blocked navigation and returns the interstitial page URL for it
+ */
+function getInterstitialUrl(verification, url, hostname, fingerprint) {
+  const id = crypto.randomUUID();
+  blockedNavigations.set(id, {
+    url,
+    hostname,
+    fingerprint,
+    verdict: verification.verdict,
+    issuerPin: verification.issuerPin || null,
+    // Per-SCT failures, for the explanation on the interstitial
+    scts: verification.results.map(({ sct, poi, poc }) => ({
+      log: sct.logDescription || sct.logId,
+      verified: poi.verified,
+      reason: poi.reason || null,
+      detail: poi.verified ? poc?.detail : poi.detail
+    }))
+  });
+
+  for (const oldest of blockedNavigations.keys()) {
+    if (blockedNavigations.size <= MAX_BLOCKED_NAVIGATIONS) break;
+    blockedNavigations.delete(oldest);
+  }
+  return `${browser.runtime.getURL(INTERSTITIAL_PAGE)}?id=${encodeURIComponent(id)}`;
+}
+
+/**
+ * Blocks an enforced navigation whose connection has no certificate chain
+ * (enforcement fails closed); other navigations load unverified.
+ * @returns {object|undefined} A redirect to the interstitial page, if enforced
+ */
+function getNoCertificateResponse(url, hasTab, hostname) {
+  if (!hasTab || !isEnforced(hostname, null)) return undefined;
+  console.warn(`[CT Guard] Blocked ${url}: no certificate chain to verify`);
+  return { redirectUrl: getInterstitialUrl({ verdict: NO_CERTIFICATE_VERDICT, results: [] }, url, hostname, null) };
+}
+
+/**
+ * Interstitial page URL for an enforced navigation whose verification failed with an error
+ */
+function getErrorInterstitialUrl(url, hostname, fingerprint) {
+  return getInterstitialUrl({ verdict: VERIFICATION_ERROR_VERDICT, results: [] }, url, hostname, fingerprint);
+}
+
+/**
+ * Lets the user through to a blocked host, with the certificate it was blocked
+ * for, for the rest of the session and records the decision in the bypass log.
+ */
+async function proceedAnyway(id) {
+  const blocked = blockedNavigations.get(id);
+  if (!blocked) return null;
+
+  // Logged first: a bypass that cannot be recorded is not granted
+  const stored = await browser.storage.local.get(BYPASS_LOG_KEY);
+  const log = stored[BYPASS_LOG_KEY] || [];
+  log.push({
+    time: Date.now(),
+    url: blocked.url,
+    hostname: blocked.hostname,
+    fingerprint: blocked.fingerprint,
+    level: blocked.verdict.level,
+    reasons: blocked.verdict.reasons
+  });
+  await browser.storage.local.set({ [BYPASS_LOG_KEY]: log.slice(-MAX_BYPASS_LOG_ENTRIES) });
+
+  blockedNavigations.delete(id);
+  bypassedCertificates.add(`${blocked.hostname} ${blocked.fingerprint}`);
+  console.warn(`[CT Guard] User proceeded to blocked host ${blocked.hostname} (${blocked.verdict.title})`);
+
+  return blocked.url;
+}
+
+/**
+ * Builds the ct-verify options from the current settings for a host
+ */
+function getVerifyOptions(hostname) {
+  return {
+    monitors: settings.monitors.map(url => ({ name: new URL(url).host, url })),
+    monitorQuorum: settings.monitorQuorum,
+    sthLedger,
+    policy: getSitePolicy(hostname),
+    timeoutMs: settings.requestTimeoutMs
+  };
+}
+
+/**
+ * Queues SCTs that could not be settled (pending merge, log unreachable or
+ * erroring) for a later re-check, and drops queue entries for SCTs that a
+ * fresh verification has settled.
+ */
+async function queueRechecks(results, hostname, url) {
+  const settled = [];
+  for (const result of results) {
+    if (!result.poi.leafHash) continue;
+
+    if (isRetryable(result.sct, result.poi)) {
+      const entry = await enqueueRecheck(hostname, url, result.sct, result.poi);
+      result.recheck = { nextAttempt: entry.nextAttempt, attempts: entry.attempts };
+    } else {
+      settled.push({ sct: result.sct, leafHash: result.poi.leafHash });
     }
+  }
+  if (settled.length > 0) {
+    await dequeueRechecks(settled);
+  }
+  await scheduleRecheckAlarm();
+}
+
+/**
+ * Arms the re-check alarm for the earliest queued attempt
+ */
+async function scheduleRecheckAlarm() {
+  const next = await getNextRecheckTime();
+  if (next === null) {
+    await browser.alarms.clear(RECHECK_ALARM);
+    return;
+  }
+  browser.alarms.create(RECHECK_ALARM, { when: Math.max(next, Date.now() + 1000) });
+  console.log(`[CT Guard] Next SCT re-check at ${new Date(next).toISOString()}`);
+}
+
+/**
+ * Re-checks all due queue entries and applies the outcomes. The alarm is armed
+ * again even if the queue cannot be read or updated, so re-checks do not stop
+ * until the next restart.
+ */
+async function processRecheckQueue() {
+  try {
+    await recheckDueEntries();
   } catch (error) {
-    console.error(`[CT Guard] Verification error:`, error);
+    console.error('[CT Guard] Failed to process re-check queue:', error);
+  } finally {
+    try {
+      await scheduleRecheckAlarm();
+    } catch (error) {
+      console.error('[CT Guard] Failed to schedule re-checks:', error);
+      browser.alarms.create(RECHECK_ALARM, { delayInMinutes: RECHECK_RETRY_MINUTES });
+    }
+  }
+}
 
-    if (hasTab) {
-      updateBadge(tabId, 'fail');
+async function recheckDueEntries() {
+  const due = await getDueRechecks();
+  console.log(`[CT Guard] Re-checking ${due.length} queued SCT(s)`);
 
-      const cached = certificateCache.get(tabId);
-      if (cached) {
-        cached.verificationStatus = 'error';
-      }
+  for (const entry of due) {
+    let outcome;
+    try {
+      outcome = await ctVerify.recheckSCT(entry.sct, entry.leafHash, getVerifyOptions(entry.hostname));
+    } catch (error) {
+      console.error(`[CT Guard] Re-check error:`, error);
+      outcome = {
+        poi: { verified: false, reason: 'log_error', detail: error.message, sthClient: null, leafHash: entry.leafHash },
+        poc: { status: 'skipped', detail: 'PoI failed, consistency check skipped' }
+      };
+    }
+    outcome.poi.sctSignature = entry.sctSignature;
 
-      if (!notifiedHosts.has(hostname)) {
-        notifiedHosts.add(hostname);
-        notifyVerificationFailure(tabId, url, null);
-      }
+    const { entry: updated, final, exhausted } = await recordRecheckAttempt(entry.key, outcome.poi);
+    if (exhausted) {
+      console.log(`[CT Guard] Giving up re-checking SCT for ${entry.hostname} after ${updated.attempts} attempts`);
+    }
+
+    const recheck = final ? null : { nextAttempt: updated.nextAttempt, attempts: updated.attempts };
+    applyRecheckResult(entry, outcome, recheck);
+
+    const hardFailure = final && !exhausted && !outcome.poi.verified;
+    if (hardFailure || outcome.poc.status === 'inconsistent') {
+      notifyRecheckFailure(entry, outcome);
     }
   }
 }
 
+/**
+ * Replaces a re-checked SCT's result in the certificate's cached verification
+ * and refreshes the badge of every tab showing that certificate.
+ */
+function applyRecheckResult(entry, outcome, recheck) {
+  const view = hostCertCache.get(entry.hostname);
+  const certData = view && verificationCache.get(view.fingerprint);
+  const verification = certData?.sctVerification;
+  if (!verification) return;
+
+  const result = verification.results.find(r =>
+    r.sct.logId === entry.sct.logId && r.poi.leafHash === entry.leafHash);
+  if (!result) return;
+
+  result.poi = outcome.poi;
+  result.poc = outcome.poc;
+  result.recheck = recheck;
+  verification.policy = ctVerify.evaluateVerificationPolicy(verification.results, verification.policy.id);
+  verification.verified = verification.policy.counted;
+  verification.verdict = ctVerify.computeVerdict(verification);
+  verificationCache.refresh(view.fingerprint);
+
+  for (const [tabId, tabView] of certificateCache) {
+    if (tabView.fingerprint === view.fingerprint && !tabView.siteRule) {
+      updateBadge(tabId, getSiteVerification(certData, tabView.hostname).verdict.level);
+    }
+  }
+}
+
+/**
+ * Shows a system notification for an SCT that failed a deferred re-check.
+ * The page may be long closed, so an in-page toast is not used.
+ */
+function notifyRecheckFailure(entry, outcome) {
+  const log = entry.sct.logDescription || entry.sct.logId.substring(0, 16);
+  const detail = outcome.poc.status === 'inconsistent' ? outcome.poc.detail : outcome.poi.detail;
+
+  notifiedHosts.add(entry.hostname);
+  if (!settings.showRecheckNotifications) return;
+  if (findSiteRule(entry.hostname, settings.siteRules)?.action === 'ignore') return;
+
+  browser.notifications.create(`ct-guard-recheck-${entry.key}`, {
+    type: 'basic',
+    title: 'CT Guard detected a problem',
+    message: `Re-check of the certificate for ${entry.hostname} against ${log} failed: ${detail}`
+  }).catch(error => console.error('[CT Guard] Failed to show re-check notification:', error));
+}
+
+/**
+ * Shows a system notification for a host whose certificate changed issuer or key
+ */
+function notifyCertificateChange(hostname, change) {
+  if (!settings.showCertificateChangeAlerts) return;
+
+  const lines = [];
+  if (change.changes.includes('issuer')) {
+    lines.push(`Issuer: ${change.previous.issuer} \u2192 ${change.current.issuer}`);
+  }
+  if (change.changes.includes('key')) {
+    lines.push(`Key: ${shortHash(change.previous.spkiHash)} \u2192 ${shortHash(change.current.spkiHash)}`);
+  }
+
+  browser.notifications.create(`ct-guard-cert-change-${hostname}`, {
+    type: 'basic',
+    title: `Certificate changed for ${hostname}`,
+    message: lines.join('\n')
+  });
+}
+
+function shortHash(hash) {
+  return hash ? `${hash.substring(0, 16)}\u2026` : 'unknown';
+}
+
 /**
  * Updates the extension icon badge for a given tab
  */
 function updateBadge(tabId, status) {
   const config = {
-    verifying: { text: '...', color: '#6366f1' },
-    ok:        { text: '\u2713',  color: '#16a34a' },
-    fail:      { text: '!',  color: '#dc2626' },
+    verifying:    { text: '...', color: '#6366f1' },
+    verified:     { text: '\u2713',  color: '#16a34a' },
+    partial:      { text: '\u2713',  color: '#ca8a04' },
+    pending:      { text: '~',  color: '#64748b' },
+    unverifiable: { text: '?',  color: '#64748b' },
+    suspicious:   { text: '!',  color: '#ea580c' },
+    attack:       { text: '!!', color: '#dc2626' },
+    error:        { text: '!',  color: '#dc2626' },
   };
   const { text, color } = config[status] || config.verifying;
 
@@ -194,16 +847,32 @@ function updateBadge(tabId, status) {
  *
  * @param {number} tabId - The tab to inject into
  * @param {string} url - The URL that failed verification
- * @param {object|null} result - Verification result with verified/total counts, or null on error
+ * @param {object|null} verdict - Verdict of the verification, or null on error
  */
-function notifyVerificationFailure(tabId, url, result) {
+function notifyVerificationFailure(tabId, url, verdict) {
+  if (!settings.showToasts) return;
+
+  const appearance = {
+    unverifiable: { color: '#64748b', message: 'Certificate transparency could not be verified for this connection.' },
+    suspicious:   { color: '#ea580c', message: 'This connection has suspicious certificate transparency data.' },
+    attack:       { color: '#dc2626', message: 'This connection shows evidence of a certificate transparency attack.' }
+  }[verdict?.level] || { color: '#dc2626', message: 'This connection has a certificate transparency issue.' };
+
+  // An issuer rule mismatch is the user's own rule, so name it rather than the CT data
+  const message = verdict?.reasons.includes('issuer_not_allowed')
+    ? 'This site\'s certificate is from an issuer that your rules do not allow for it.'
+    : appearance.message;
+
+  const titleText = JSON.stringify(verdict ? verdict.title : 'CT Guard detected a problem');
+  const messageText = JSON.stringify(`${message} Click the extension icon for details.`);
+
   const code = `
     (function() {
       if (document.getElementById('ct-guard-toast')) return;
 
       var toast = document.createElement('div');
       toast.id = 'ct-guard-toast';
-      toast.style.cssText = 'position:fixed;top:16px;right:16px;z-index:2147483647;width:340px;background:#1e1e2e;color:#e0e0e0;font:13px/1.5 -apple-system,BlinkMacSystemFont,\"Segoe UI\",Roboto,sans-serif;border-radius:8px;box-shadow:0 8px 24px rgba(0,0,0,0.4);border-left:4px solid #dc2626;overflow:hidden;transform:translateX(calc(100% + 16px));transition:transform .35s cubic-bezier(.21,1.02,.73,1);';
+      toast.style.cssText = 'position:fixed;top:16px;right:16px;z-index:2147483647;width:340px;background:#1e1e2e;color:#e0e0e0;font:13px/1.5 -apple-system,BlinkMacSystemFont,\"Segoe UI\",Roboto,sans-serif;border-radius:8px;box-shadow:0 8px 24px rgba(0,0,0,0.4);border-left:4px solid ${appearance.color};overflow:hidden;transform:translateX(calc(100% + 16px));transition:transform .35s cubic-bezier(.21,1.02,.73,1);';
 
       var body = document.createElement('div');
       body.style.cssText = 'padding:12px 14px;display:flex;align-items:flex-start;gap:10px;';
@@ -216,11 +885,11 @@ function notifyVerificationFailure(tabId, url, result) {
       content.style.cssText = 'flex:1;min-width:0;';
 
       var title = document.createElement('div');
-      title.textContent = 'CT Guard detected a problem';
+      title.textContent = ${titleText};
       title.style.cssText = 'font-weight:600;color:#fff;margin-bottom:4px;font-size:13px;';
 
       var msg = document.createElement('div');
-      msg.textContent = 'This connection has a certificate transparency issue. Click the extension icon for details.';
+      msg.textContent = ${messageText};
       msg.style.cssText = 'color:#a0a0b0;font-size:12px;line-height:1.4;';
 
       var btn = document.createElement('button');
@@ -234,7 +903,7 @@ function notifyVerificationFailure(tabId, url, result) {
       };
 
       var progress = document.createElement('div');
-      progress.style.cssText = 'height:3px;background:#dc2626;width:100%;transform-origin:left;animation:ctGuardShrink 8s linear forwards;';
+      progress.style.cssText = 'height:3px;background:${appearance.color};width:100%;transform-origin:left;animation:ctGuardShrink 8s linear forwards;';
 
       var style = document.createElement('style');
       style.textContent = '@keyframes ctGuardShrink{from{transform:scaleX(1)}to{transform:scaleX(0)}}';
@@ -295,53 +964,43 @@ function injectWhenReady(tabId, code) {
 }
 
 /**
- * Extracts and structures certificate data from security info
+ * Extracts and structures certificate data from security info. Only what
+ * depends on the certificate is kept here (it is cached by fingerprint);
+ * connection details go into the connection view.
  *
  * @param {object} securityInfo - Security information from webRequest.getSecurityInfo()
- * @param {string} url - The URL being accessed
  * @returns {object} Structured certificate data including SCTs
  */
-function extractCertificateData(securityInfo, url) {
+function extractCertificateData(securityInfo) {
   console.log("[CT Guard] Extracting certificate data");
   const certData = {
-    url: url,
-    timestamp: Date.now(),
-    securityState: securityInfo.state,
     certificates: [],
     scts: [],
-    protocolVersion: securityInfo.protocolVersion || "unknown",
-    cipherSuite: securityInfo.cipherSuite || "unknown"
+    identity: null,
+    verificationStatus: 'unverified'
   };
 
   if (securityInfo.certificates && securityInfo.certificates.length > 0) {
     console.log("[CT Guard] Copying certificate chain");
     certData.certificates = securityInfo.certificates;
 
+    // What the certificate history compares between visits
+    const leaf = securityInfo.certificates[0];
+    certData.identity = {
+      fingerprint: leaf.fingerprint?.sha256 ?? null,
+      issuer: leaf.issuer,
+      spkiHash: leaf.subjectPublicKeyInfoDigest?.sha256 ?? null,
+      notAfter: leaf.validity?.end ?? null
+    };
+
     // Parse SCTs from the leaf certificate's rawDER data
     if (securityInfo.certificates[0].rawDER) {
       console.log("[CT Guard] Parsing SCTs from leaf certificate");
-      const scts = sctParser.parseSCTFromCertificate(securityInfo.certificates[0].rawDER);
-      if (scts.length > 0) {
-        certData.scts = injectLogInfo(scts);
-      }
+      // Log metadata is added once the log list is ready (see verifyCertificate)
+      certData.scts = sctParser.parseSCTFromCertificate(securityInfo.certificates[0].rawDER);
     }
   }
 
-  // Certificate Transparency status
-  if (securityInfo.certificateTransparencyStatus) {
-    certData.ctStatus = securityInfo.certificateTransparencyStatus;
-  }
-
-  // Additional security flags from Firefox
-  certData.securityFlags = {
-    hsts: securityInfo.hsts || false,
-    hpkp: securityInfo.hpkp || false,
-    usedEch: securityInfo.usedEch || false,
-    usedOcsp: securityInfo.usedOcsp || false,
-    usedDelegatedCredentials: securityInfo.usedDelegatedCredentials || false,
-    isExtendedValidation: securityInfo.isExtendedValidation || false
-  };
-
   return certData;
 }
 
@@ -352,25 +1011,64 @@ function extractCertificateData(securityInfo, url) {
 browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.action === "getCertificateData") {
     const tabId = message.tabId;
-    let certData = certificateCache.get(tabId);
+    let view = certificateCache.get(tabId);
 
     // Fallback: look up by hostname (handles Service Worker requests with tabId -1)
-    if (!certData && message.url) {
+    if (!view && message.url) {
       try {
         const hostname = new URL(message.url).hostname;
-        certData = hostCertCache.get(hostname);
-        if (certData) {
+        view = hostCertCache.get(hostname);
+        if (view) {
           // Promote to tab cache so subsequent lookups are fast
-          certificateCache.set(tabId, certData);
+          certificateCache.set(tabId, view);
         }
       } catch (e) { /* invalid URL, ignore */ }
     }
 
+    const certData = view && resolveConnectionView(view);
+
     if (certData) {
       sendResponse({ success: true, data: certData });
     } else {
       sendResponse({ success: false, error: "No certificate data available for this tab" });
     }
+  } else if (message.action === "getBlockedNavigation") {
+    sendResponse(blockedNavigations.get(message.id) || null);
+  } else if (message.action === "proceedAnyway") {
+    proceedAnyway(message.id)
+      .then(url => sendResponse({ url }))
+      .catch(error => {
+        console.error('[CT Guard] Failed to record proceeding to a blocked host:', error);
+        sendResponse({ url: null, error: error.message });
+      });
+  } else if (message.action === "getSiteRule") {
+    // The popup's "this site" menu: the rule in effect and whether the user may change it
+    sendResponse({
+      rule: findSiteRule(message.hostname, settings.siteRules),
+      locked: lockedSettings.includes('siteRules')
+    });
+  } else if (message.action === "setSiteRule") {
+    if (lockedSettings.includes('siteRules')) {
+      sendResponse({ success: false, error: 'Site rules are set by your administrator' });
+      return true;
+    }
+    setSiteRule(message.hostname, message.ruleAction)
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+  } else if (message.action === "saveSettings") {
+    saveUserSettings(message.settings)
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+  } else if (message.action === "getSettings") {
+    // The options page shows the effective settings and the defaults to reset to;
+    // locked fields are shown read-only
+    sendResponse({
+      settings,
+      locked: lockedSettings,
+      defaults: DEFAULT_SETTINGS,
+      googleLogListUrl: GOOGLE_LOG_LIST_URL,
+      logList: ctLogListInfo
+    });
   }
 
   // Return true to indicate response will be sent asynchronously
@@ -378,25 +1076,119 @@ browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
 });
 
 
+/**
+ * Starts loading the CT log list; waitForLogList() waits on the returned promise
+ */
+function loadCTLogList() {
+  ctLogListLoading = true;
+  ctLogListPromise = fetchCTLogList()
+    .catch(error => console.error('[CT Guard] Failed to load CT log list:', error))
+    .finally(() => { ctLogListLoading = false; });
+  return ctLogListPromise;
+}
+
+/**
+ * Waits (up to LOG_LIST_WAIT_MS) until the log list is loaded. If an earlier
+ * load failed, a new one is started.
+ * @returns {Promise<object|null>} The log ID map, or null if still unavailable
+ */
+async function waitForLogList() {
+  if (ctLogList) return ctLogList;
+  if (!ctLogListLoading) loadCTLogList();
+
+  let timer;
+  const timeout = new Promise(resolve => { timer = setTimeout(resolve, LOG_LIST_WAIT_MS); });
+  await Promise.race([ctLogListPromise, timeout]);
+  clearTimeout(timer);
+  return ctLogList;
+}
+
+/**
+ * Loads the CT log list: from the network if it can be fetched and its
+ * signature verifies, otherwise the last good copy from storage (if it came
+ * from the same URL), otherwise the snapshot bundled with the extension.
+ * A fetched list older than the stored one is refused.
+ */
 async function fetchCTLogList() {
-  console.log('[CT Guard] Fetching CT log list');
-  if (ctLogList) {
-    console.log('[CT Guard] CT log list already loaded');
-    return
-  };
+  const url = settings.logListUrl;
+  console.log(`[CT Guard] Fetching CT log list from ${url}`);
 
-  try {
-    const response = await fetch(CT_LOG_LIST_URL);
-    const data = await response.json();
-    console.log('[CT Guard] Fetched CT log list data', data);
-    ctLogList = buildLogIdMap(data);
-    console.log('[CT Guard] Built CT log ID map', ctLogList);
-    console.log(`[CT Guard] Loaded ${Object.keys(ctLogList).length} CT logs`);
-  } catch (error) {
-    console.error('[CT Guard] Failed to fetch CT log list:', error);
+  const stored = await loadStoredLogList();
+  const fetched = await fetchLogList(url, settings.requestTimeoutMs);
+
+  if (!fetched.error && !isOlderThanStored(fetched.data, stored, url)) {
+    const entry = await storeLogList(url, fetched.data, fetched.signature);
+    useLogList(entry.data, { source: 'network', ...describeLogList(entry) });
+    return;
+  }
+
+  if (fetched.error) {
+    console.error(`[CT Guard] Failed to fetch CT log list: ${fetched.error} (${fetched.detail})`);
+  } else {
+    console.warn(`[CT Guard] Fetched CT log list (${fetched.data.log_list_timestamp}) is older than the stored one, keeping the stored list`);
+  }
+
+  if (stored && stored.url === url) {
+    useLogList(stored.data, { source: 'stored', ...describeLogList(stored) });
+    return;
+  }
+
+  const bundled = await loadBundledLogList();
+  if (bundled) {
+    useLogList(bundled, { source: 'bundled', version: bundled.version ?? null, timestamp: bundled.log_list_timestamp ?? null, signature: 'bundled' });
+    return;
   }
+
+  console.error('[CT Guard] No CT log list available');
 }
 
+function describeLogList(entry) {
+  return { version: entry.version, timestamp: entry.timestamp, signature: entry.signature };
+}
+
+function useLogList(data, info) {
+  const wasUnavailable = !ctLogListMap;
+  ctLogListMap = buildLogIdMap(data);
+  ctLogList = mergeCustomLogs(ctLogListMap, settings.customLogs);
+  ctLogListInfo = info;
+  console.log('[CT Guard] Built CT log ID map', ctLogList);
+  console.log(`[CT Guard] Loaded ${Object.keys(ctLogList).length} CT logs (${info.source}, version ${info.version}, ${info.timestamp}, signature ${info.signature})`);
+
+  // Certificates verified while there was no list only got "log metadata unavailable"
+  if (wasUnavailable) {
+    clearCachedVerdicts();
+  }
+}
+
+/**
+ * Adds the custom logs from the settings to a log ID map. A custom log
+ * replaces a log list entry with the same ID.
+ * @param {object} map - Map built by buildLogIdMap
+ * @param {object[]} customLogs - Normalized custom logs from the settings
+ * @returns {object} New map of hex log IDs to log metadata
+ */
+function mergeCustomLogs(map, customLogs) {
+  const merged = { ...map };
+  for (const log of customLogs) {
+    const logIdHex = Convert.ToHex(Convert.FromBase64(log.logId));
+    if (merged[logIdHex]) {
+      console.warn(`[CT Guard] Custom log ${log.description} replaces log list entry ${merged[logIdHex].description}`);
+    }
+    merged[logIdHex] = {
+      operator: 'Custom log',
+      description: log.description,
+      url: log.url,
+      monitoringUrl: log.monitoringUrl,
+      key: log.key,
+      mmd: log.mmd,
+      temporalInterval: null,
+      logType: log.type,
+      state: null,
+      custom: true
+    };
+  }
+  return merged;
+}
 
 /**
  * Builds log ID to metadata map from operator-grouped CT log list
@@ -416,6 +1208,9 @@ function buildLogIdMap(logListData) {
           operator: operator.name,
           description: log.description,
           url: log.url,
+          key: log.key,
+          mmd: log.mmd,
+          temporalInterval: log.temporal_interval,
           logType: 'rfc6962',
           state: log.state
         };
@@ -431,6 +1226,9 @@ function buildLogIdMap(logListData) {
           description: log.description,
           url: log.submission_url,
           monitoringUrl: log.monitoring_url,
+          key: log.key,
+          mmd: log.mmd,
+          temporalInterval: log.temporal_interval,
           logType: 'static-ct',
           state: log.state
         };
@@ -452,7 +1250,11 @@ function injectLogInfo(scts) {
         logUrl: logInfo.url,
         logType: logInfo.logType,
         monitoringUrl: logInfo.monitoringUrl,
-        logState: logInfo.state
+        logKey: logInfo.key,
+        logMmd: logInfo.mmd,
+        logTemporalInterval: logInfo.temporalInterval,
+        logState: logInfo.state,
+        logCustom: logInfo.custom === true
       };
     } else {
       console.warn(`[CT Guard] No log info found for log ID: ${sct.logId}`);
@@ -466,16 +1268,16 @@ function injectLogInfo(scts) {
  */
 browser.tabs.onUpdated.addListener((tabId, changeInfo) => {
   if (changeInfo.status === 'complete') {
-    const certData = certificateCache.get(tabId);
-    if (!certData) return;
+    const view = certificateCache.get(tabId);
+    const certData = view && resolveConnectionView(view);
+    if (!certData || certData.verificationStatus === 'ignored') return;
 
     if (certData.verificationStatus === 'verifying') {
       updateBadge(tabId, 'verifying');
     } else if (certData.verificationStatus === 'complete' && certData.sctVerification) {
-      const anyOk = certData.sctVerification.verified >= 1;
-      updateBadge(tabId, anyOk ? 'ok' : 'fail');
+      updateBadge(tabId, certData.sctVerification.verdict.level);
     } else if (certData.verificationStatus === 'error') {
-      updateBadge(tabId, 'fail');
+      updateBadge(tabId, 'error');
     }
   }
 });
@@ -488,13 +1290,86 @@ browser.tabs.onRemoved.addListener((tabId) => {
   console.log(`[CT Guard] Cleaned up cache for closed tab ${tabId}`);
 });
 
+browser.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === RECHECK_ALARM) {
+    processRecheckQueue();
+  } else if (alarm.name === LOG_LIST_ALARM) {
+    loadCTLogList();
+  }
+});
+
+/**
+ * Applies settings stored by the options page or changed by enterprise policy
+ * without reloading the extension
+ */
+browser.storage.onChanged.addListener((changes, areaName) => {
+  if ((areaName === 'local' && changes[SETTINGS_STORAGE_KEY]) || areaName === 'managed') {
+    applySettings().catch(error => console.error('[CT Guard] Failed to apply settings:', error));
+  }
+});
+
+/**
+ * Switches to new settings: reloads the log list if its URL changed and
+ * drops cached verdicts, which may have been reached under the old settings.
+ */
+async function applySettings() {
+  const previous = settings;
+  await reloadSettings();
+  console.log('[CT Guard] Settings changed', settings);
+
+  if (settings.logListUrl !== previous.logListUrl) {
+    await loadCTLogList();
+  } else if (ctLogListMap && JSON.stringify(settings.customLogs) !== JSON.stringify(previous.customLogs)) {
+    ctLogList = mergeCustomLogs(ctLogListMap, settings.customLogs);
+    console.log(`[CT Guard] Applied ${settings.customLogs.length} custom CT logs`);
+  }
+
+  clearCachedVerdicts();
+}
+
+/**
+ * Loads the settings with managed values applied
+ */
+async function reloadSettings() {
+  ({ settings, userSettings, locked: lockedSettings } = await loadSettings());
+  if (lockedSettings.length > 0) {
+    console.log(`[CT Guard] Settings locked by enterprise policy: ${lockedSettings.join(', ')}`);
+  }
+}
+
+/**
+ * Forgets all cached certificate data and verdicts, and clears tab badges.
+ * Pages are verified again on their next load.
+ */
+function clearCachedVerdicts() {
+  for (const tabId of certificateCache.keys()) {
+    browser.browserAction.setBadgeText({ text: '', tabId });
+  }
+  certificateCache.clear();
+  verificationCache.clear();
+  hostCertCache.clear();
+  notifiedHosts.clear();
+  console.log('[CT Guard] Cleared cached verdicts');
+}
+
 // Initialize
 (async () => {
   console.log("[CT Guard] Starting background script...");
 
-  await fetchCTLogList();
+  // Armed first, so a failed load below is retried by the next refresh
+  browser.alarms.create(LOG_LIST_ALARM, { periodInMinutes: LOG_LIST_REFRESH_MINUTES });
+
+  try {
+    await reloadSettings();
+  } catch (error) {
+    console.error('[CT Guard] Failed to load settings, using defaults:', error);
+  }
+  await loadCTLogList();
+
+  // Resume re-checks queued before the background script restarted
+  await scheduleRecheckAlarm();
 
   console.log("[CT Guard] Background script loaded and ready");
   console.log("[CT Guard] Waiting for onHeadersReceived...");
-})();
+})().catch(error => console.error('[CT Guard] Failed to start background script:', error));
 
@@ -0,0 +1,111 @@
+/**
+ * CT Guard - Interstitial Script
+ *
+ * Explains why a navigation under enforcement was blocked, and offers to go
+ * back or to proceed anyway. The background script records the latter.
+ */
+
+const EXPLANATIONS = {
+  suspicious: 'The certificate transparency data of this site does not fit its certificate. ' +
+    'This can be a misconfigured server, but also a certificate that was issued without being publicly logged.',
+  attack: 'CT Guard found cryptographic evidence that the certificate transparency data of this site was forged ' +
+    'or that a log shows different views to different users. Someone may be intercepting your connection.',
+  unverifiable: 'The browser did not provide the certificate of this site, so CT Guard had nothing to check. ' +
+    'Enforcement is on for this site, so it is not loaded unverified.',
+  error: 'CT Guard could not check the certificate transparency data of this site, for example because its logs ' +
+    'or monitors did not answer. Enforcement is on for this site, so it is not loaded unverified.',
+  issuer_not_allowed: 'The certificate of this site was issued by a certificate authority that your allowed-issuer ' +
+    'rule for it does not list. The site may have changed its CA, or someone may be intercepting your connection.'
+};
+
+/**
+ * Short descriptions of the PoI reasons that lead to a block
+ */
+const REASON_TEXT = {
+  bad_sct_signature: 'SCT signature does not verify',
+  bad_sth_signature: 'Log tree head signature does not verify',
+  proof_mismatch: 'Inclusion proof does not match the log',
+  not_found_in_log: 'Certificate not found in the log after its merge delay',
+  sct_in_future: 'SCT timestamp is in the future',
+  sct_before_not_before: 'SCT is older than the certificate',
+  outside_temporal_interval: 'Certificate outside the log\'s accepted validity range',
+  sct_after_retirement: 'SCT issued after the log was retired'
+};
+
+document.addEventListener('DOMContentLoaded', async () => {
+  const id = new URLSearchParams(location.search).get('id');
+  const blocked = id ? await browser.runtime.sendMessage({ action: 'getBlockedNavigation', id }) : null;
+
+  document.getElementById('go-back').addEventListener('click', goBack);
+
+  if (!blocked) {
+    // The background script restarted since the page was blocked
+    document.getElementById('proceed').classList.add('hidden');
+    return;
+  }
+
+  showVerdict(blocked);
+
+  document.getElementById('proceed').addEventListener('click', async () => {
+    const response = await browser.runtime.sendMessage({ action: 'proceedAnyway', id }).catch(error => ({ error: error.message }));
+    if (response?.url) {
+      location.replace(response.url);
+      return;
+    }
+    // The decision could not be recorded, so the site stays blocked
+    const error = document.getElementById('proceed-error');
+    error.textContent = `Could not proceed: ${response?.error || 'the blocked page is no longer known, reload it to verify again'}`;
+    error.classList.remove('hidden');
+  });
+});
+
+function showVerdict(blocked) {
+  const { verdict } = blocked;
+  document.getElementById('verdict').classList.add(`verdict-${verdict.level}`);
+  document.getElementById('verdict-title').textContent = verdict.title;
+  document.getElementById('verdict-host').textContent = `${blocked.hostname} — ${verdict.summary}`;
+  const issuerRejected = blocked.issuerPin?.matched === false;
+  document.getElementById('explanation').textContent = issuerRejected && verdict.level !== 'attack'
+    ? EXPLANATIONS.issuer_not_allowed
+    : EXPLANATIONS[verdict.level] || EXPLANATIONS.suspicious;
+
+  const failures = blocked.scts
+    .filter(sct => !sct.verified && sct.reason)
+    .map(sct => ({ title: `${sct.log}: ${REASON_TEXT[sct.reason] || sct.reason}`, detail: sct.detail }));
+  if (issuerRejected) {
+    failures.unshift({ title: 'Certificate issuer not allowed', detail: blocked.issuerPin.detail });
+  }
+  if (failures.length === 0) return;
+
+  const list = document.getElementById('sct-list');
+  for (const failure of failures) {
+    const row = document.createElement('div');
+    row.className = 'sct-row';
+
+    const title = document.createElement('div');
+    title.className = 'sct-title';
+    title.textContent = failure.title;
+    row.appendChild(title);
+
+    if (failure.detail) {
+      const detail = document.createElement('div');
+      detail.className = 'sct-detail';
+      detail.textContent = failure.detail;
+      row.appendChild(detail);
+    }
+    list.appendChild(row);
+  }
+  list.classList.remove('hidden');
+}
+
+/**
+ * Returns to the previous page, or closes the tab if the blocked page was the first one
+ */
+async function goBack() {
+  if (history.length > 1) {
+    history.back();
+    return;
+  }
+  const tab = await browser.tabs.getCurrent();
+  browser.tabs.remove(tab.id);
+}
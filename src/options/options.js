@@ -0,0 +1,360 @@
+/**
+ * CT Guard - Options Script
+ *
+ * Edits the user settings, which the background script stores and applies
+ * without a reload. Fields set by enterprise policy are shown read-only.
+ */
+
+/**
+ * Form controls of each settings field, disabled when the field is locked
+ */
+const FIELD_CONTROLS = {
+  logListUrl: ['logListUrl', 'use-google-list'],
+  monitors: ['monitors'],
+  monitorQuorum: ['monitorQuorum'],
+  verificationPolicy: ['verificationPolicy'],
+  requestTimeoutMs: ['requestTimeout'],
+  showToasts: ['showToasts'],
+  showRecheckNotifications: ['showRecheckNotifications'],
+  showCertificateChangeAlerts: ['showCertificateChangeAlerts'],
+  customLogs: ['add-custom-log'],
+  enforcementMode: ['enforcementMode'],
+  siteRules: ['add-site-rule'],
+  issuerPins: ['add-issuer-pin']
+};
+
+const ISSUER_PIN_TYPES = ['issuer', 'spki', 'root'];
+
+let defaults = null;
+let effectiveSettings = null;
+let locked = [];
+
+document.addEventListener('DOMContentLoaded', async () => {
+  const response = await browser.runtime.sendMessage({ action: 'getSettings' });
+  defaults = response.defaults;
+  effectiveSettings = response.settings;
+  locked = response.locked;
+  fillForm(effectiveSettings);
+  showLogListInfo(response.logList);
+  showLockedFields();
+
+  document.getElementById('add-site-rule').addEventListener('click', () => {
+    addSiteRuleRow({ pattern: '', action: 'warn' });
+  });
+
+  document.getElementById('add-issuer-pin').addEventListener('click', () => {
+    addIssuerPinRow({ pattern: '', allowed: [] });
+  });
+
+  document.getElementById('add-custom-log').addEventListener('click', () => {
+    addCustomLogRow({ type: 'rfc6962', mmd: 86400 });
+  });
+
+  document.getElementById('use-google-list').addEventListener('click', () => {
+    document.getElementById('logListUrl').value = response.googleLogListUrl;
+  });
+
+  document.getElementById('reset').addEventListener('click', () => {
+    fillForm({ ...defaults, ...withLockedValues(effectiveSettings) });
+    showStatus('Defaults restored. Save to apply them.', false);
+  });
+
+  document.getElementById('settings-form').addEventListener('submit', async (event) => {
+    event.preventDefault();
+    await saveForm();
+  });
+});
+
+function fillForm(settings) {
+  document.getElementById('logListUrl').value = settings.logListUrl;
+  document.getElementById('monitors').value = settings.monitors.join('\n');
+  document.getElementById('monitorQuorum').value = settings.monitorQuorum;
+  document.getElementById('verificationPolicy').value = settings.verificationPolicy;
+  document.getElementById('requestTimeout').value = Math.round(settings.requestTimeoutMs / 1000);
+  document.getElementById('showToasts').checked = settings.showToasts;
+  document.getElementById('showRecheckNotifications').checked = settings.showRecheckNotifications;
+  document.getElementById('showCertificateChangeAlerts').checked = settings.showCertificateChangeAlerts;
+  document.getElementById('enforcementMode').value = settings.enforcementMode;
+
+  document.getElementById('site-rules').replaceChildren();
+  settings.siteRules.forEach(addSiteRuleRow);
+
+  document.getElementById('issuer-pins').replaceChildren();
+  settings.issuerPins.forEach(addIssuerPinRow);
+
+  document.getElementById('custom-logs').replaceChildren();
+  settings.customLogs.forEach(addCustomLogRow);
+}
+
+function addSiteRuleRow(rule) {
+  const row = document.getElementById('site-rule-template').content.firstElementChild.cloneNode(true);
+  row.querySelector('[data-field="pattern"]').value = rule.pattern;
+  row.querySelector('[data-field="action"]').value = rule.action;
+  row.querySelector('.remove-site-rule').addEventListener('click', () => row.remove());
+  if (locked.includes('siteRules')) {
+    row.querySelectorAll('input, select, button').forEach(control => { control.disabled = true; });
+  }
+  document.getElementById('site-rules').appendChild(row);
+}
+
+function readSiteRules() {
+  return [...document.querySelectorAll('#site-rules .site-rule')].map(row => ({
+    pattern: row.querySelector('[data-field="pattern"]').value.trim().toLowerCase(),
+    action: row.querySelector('[data-field="action"]').value
+  }));
+}
+
+function addIssuerPinRow(pin) {
+  const row = document.getElementById('issuer-pin-template').content.firstElementChild.cloneNode(true);
+  row.querySelector('[data-field="pattern"]').value = pin.pattern;
+  row.querySelector('[data-field="allowed"]').value = pin.allowed.map(({ type, value }) => `${type}:${value}`).join('\n');
+  row.querySelector('.remove-issuer-pin').addEventListener('click', () => row.remove());
+  if (locked.includes('issuerPins')) {
+    row.querySelectorAll('input, textarea, button').forEach(control => { control.disabled = true; });
+  }
+  document.getElementById('issuer-pins').appendChild(row);
+}
+
+/**
+ * Reads the allowed-issuer rules; each line of a rule is "type:value"
+ */
+function readIssuerPins() {
+  return [...document.querySelectorAll('#issuer-pins .issuer-pin')].map(row => ({
+    pattern: row.querySelector('[data-field="pattern"]').value.trim().toLowerCase(),
+    allowed: row.querySelector('[data-field="allowed"]').value
+      .split('\n')
+      .map(line => line.trim())
+      .filter(Boolean)
+      .map(line => {
+        const separator = line.indexOf(':');
+        return { type: line.substring(0, separator).trim().toLowerCase(), value: line.substring(separator + 1).trim() };
+      })
+  }));
+}
+
+function addCustomLogRow(log) {
+  const row = document.getElementById('custom-log-template').content.firstElementChild.cloneNode(true);
+  for (const input of row.querySelectorAll('[data-field]')) {
+    input.value = log[input.dataset.field] ?? '';
+  }
+  row.querySelector('.remove-custom-log').addEventListener('click', () => row.remove());
+  if (locked.includes('customLogs')) {
+    row.querySelectorAll('input, select, textarea, button').forEach(control => { control.disabled = true; });
+  }
+  document.getElementById('custom-logs').appendChild(row);
+}
+
+/**
+ * Disables the controls of locked fields and marks them as set by the administrator
+ */
+function showLockedFields() {
+  if (locked.length === 0) return;
+  document.getElementById('managed-note').classList.remove('hidden');
+
+  for (const field of locked) {
+    for (const id of FIELD_CONTROLS[field] || []) {
+      const control = document.getElementById(id);
+      control.disabled = true;
+      control.title = 'Set by your administrator';
+      control.closest('.field, .checkbox')?.classList.add('locked');
+    }
+  }
+}
+
+/**
+ * The locked fields of a settings object
+ */
+function withLockedValues(settings) {
+  return Object.fromEntries(locked.map(field => [field, settings[field]]));
+}
+
+function readCustomLogs() {
+  return [...document.querySelectorAll('#custom-logs .custom-log')].map(row => {
+    const value = field => row.querySelector(`[data-field="${field}"]`).value.trim();
+    return {
+      description: value('description'),
+      logId: value('logId'),
+      key: value('key').replace(/\s+/g, ''),
+      type: value('type'),
+      url: value('url') || null,
+      monitoringUrl: value('monitoringUrl') || null,
+      mmd: parseInt(value('mmd'), 10)
+    };
+  });
+}
+
+function showLogListInfo(info) {
+  const note = document.getElementById('log-list-info');
+  if (!info) {
+    note.textContent = 'No log list loaded.';
+    return;
+  }
+  const source = { network: 'fetched', stored: 'stored copy (fetch failed)', bundled: 'bundled snapshot (fetch failed)' }[info.source];
+  note.textContent = `In use: version ${info.version ?? 'unknown'} of ${info.timestamp ?? 'unknown date'}, ${source}, signature ${info.signature}.`;
+}
+
+function readForm() {
+  return {
+    logListUrl: document.getElementById('logListUrl').value.trim(),
+    monitors: document.getElementById('monitors').value
+      .split('\n')
+      .map(line => line.trim())
+      .filter(Boolean),
+    monitorQuorum: parseInt(document.getElementById('monitorQuorum').value, 10),
+    verificationPolicy: document.getElementById('verificationPolicy').value,
+    requestTimeoutMs: parseInt(document.getElementById('requestTimeout').value, 10) * 1000,
+    showToasts: document.getElementById('showToasts').checked,
+    showRecheckNotifications: document.getElementById('showRecheckNotifications').checked,
+    showCertificateChangeAlerts: document.getElementById('showCertificateChangeAlerts').checked,
+    customLogs: readCustomLogs(),
+    enforcementMode: document.getElementById('enforcementMode').value,
+    siteRules: readSiteRules(),
+    issuerPins: readIssuerPins()
+  };
+}
+
+/**
+ * Returns a message for the first invalid field, or null if the form is valid
+ */
+function validate(settings) {
+  if (!isHttpsUrl(settings.logListUrl)) {
+    return 'The log list URL must be an https:// URL.';
+  }
+  const badMonitor = settings.monitors.find(url => !isHttpsUrl(url));
+  if (badMonitor) {
+    return `Monitor URL is not an https:// URL: ${badMonitor}`;
+  }
+  if (!Number.isInteger(settings.monitorQuorum) || settings.monitorQuorum < 1) {
+    return 'At least one monitor must agree.';
+  }
+  if (settings.monitors.length > 0 && settings.monitorQuorum > settings.monitors.length) {
+    return `The quorum (${settings.monitorQuorum}) is larger than the number of monitors (${settings.monitors.length}).`;
+  }
+  if (!Number.isInteger(settings.requestTimeoutMs) || settings.requestTimeoutMs < 1000) {
+    return 'The request timeout must be at least one second.';
+  }
+  const badRule = settings.siteRules.find(rule => !/^(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)*$/.test(rule.pattern));
+  if (badRule) {
+    return `Site rule is not a host name or *.domain pattern: ${badRule.pattern || '(empty)'}`;
+  }
+  const patterns = settings.siteRules.map(rule => rule.pattern);
+  const duplicate = patterns.find((pattern, i) => patterns.indexOf(pattern) !== i);
+  if (duplicate) {
+    return `More than one site rule for ${duplicate}.`;
+  }
+  for (const pin of settings.issuerPins) {
+    const error = validateIssuerPin(pin);
+    if (error) {
+      return `Allowed issuers for ${pin.pattern || '(empty)'}: ${error}`;
+    }
+  }
+  const pinPatterns = settings.issuerPins.map(pin => pin.pattern);
+  const duplicatePin = pinPatterns.find((pattern, i) => pinPatterns.indexOf(pattern) !== i);
+  if (duplicatePin) {
+    return `More than one allowed-issuer rule for ${duplicatePin}.`;
+  }
+  for (const log of settings.customLogs) {
+    const error = validateCustomLog(log);
+    if (error) {
+      return `Custom log ${log.description || log.logId || '(unnamed)'}: ${error}`;
+    }
+  }
+  return null;
+}
+
+function validateIssuerPin(pin) {
+  if (!/^(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)*$/.test(pin.pattern)) {
+    return 'the host is not a host name or *.domain pattern.';
+  }
+  if (pin.allowed.length === 0) {
+    return 'at least one issuer is needed.';
+  }
+  const badEntry = pin.allowed.find(entry => !ISSUER_PIN_TYPES.includes(entry.type) || !entry.value);
+  if (badEntry) {
+    return 'every line must start with issuer:, spki: or root: followed by a value.';
+  }
+  const badHash = pin.allowed.find(entry => entry.type === 'spki' && decodedLength(entry.value) !== 32);
+  if (badHash) {
+    return `spki: needs a base64 SHA-256 hash (32 bytes): ${badHash.value}`;
+  }
+  return null;
+}
+
+function validateCustomLog(log) {
+  if (decodedLength(log.logId) !== 32) {
+    return 'the log ID must be a base64 SHA-256 hash (32 bytes).';
+  }
+  if (!decodedLength(log.key)) {
+    return 'the public key must be base64.';
+  }
+  if (log.type === 'rfc6962' && !isHttpsUrl(log.url)) {
+    return 'RFC 6962 logs need an https:// log URL.';
+  }
+  if (log.type === 'static-ct' && !isHttpsUrl(log.monitoringUrl)) {
+    return 'static CT logs need an https:// monitoring URL.';
+  }
+  if (!Number.isInteger(log.mmd) || log.mmd < 1) {
+    return 'the maximum merge delay must be a positive number of seconds.';
+  }
+  return null;
+}
+
+/**
+ * Returns a message for the first custom log whose log ID is not the SHA-256
+ * of its public key, or null. The background script ignores such logs.
+ */
+async function validateCustomLogIds(customLogs) {
+  for (const log of customLogs) {
+    const digest = await crypto.subtle.digest('SHA-256', base64ToBytes(log.key));
+    const expected = btoa(String.fromCharCode(...new Uint8Array(digest)));
+    if (expected !== btoa(atob(log.logId))) {
+      return `Custom log ${log.description || log.logId}: the log ID is not the SHA-256 of the public key (expected ${expected}).`;
+    }
+  }
+  return null;
+}
+
+function base64ToBytes(value) {
+  return Uint8Array.from(atob(value), char => char.charCodeAt(0));
+}
+
+/**
+ * Length in bytes of a base64 string, or 0 if it is not valid base64
+ */
+function decodedLength(value) {
+  try {
+    return atob(value).length;
+  } catch (e) {
+    return 0;
+  }
+}
+
+async function saveForm() {
+  const settings = readForm();
+  const error = validate(settings) || await validateCustomLogIds(settings.customLogs);
+  if (error) {
+    showStatus(error, true);
+    return;
+  }
+
+  const response = await browser.runtime.sendMessage({ action: 'saveSettings', settings });
+  if (response.success) {
+    showStatus('Settings saved. Cached verdicts were cleared.', false);
+  } else {
+    showStatus(`Failed to save settings: ${response.error}`, true);
+  }
+}
+
+function showStatus(message, isError) {
+  const status = document.getElementById('status');
+  status.textContent = message;
+  status.className = isError ? 'status-error' : 'status-ok';
+}
+
+function isHttpsUrl(value) {
+  try {
+    return new URL(value).protocol === 'https:';
+  } catch (e) {
+    return false;
+  }
+}
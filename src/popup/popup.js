@@ -10,6 +10,7 @@ let currentTabId = null;
 let currentTabUrl = null;
 
 document.addEventListener('DOMContentLoaded', async () => {
+  document.getElementById('site-rule-action').addEventListener('change', saveSiteRule);
   await loadCertificateData();
 
   // Listen for tab URL changes so the popup refreshes automatically
@@ -37,6 +38,7 @@ async function loadCertificateData() {
 
     const url = currentTab.url || '';
     if (!url.startsWith('https://')) {
+      document.getElementById('site-rule').classList.add('hidden');
       // Distinguish internal/blank pages from regular HTTP
       if (!url || url.startsWith('about:') || url.startsWith('moz-extension:') || url.startsWith('chrome:') || url === 'about:blank') {
         showStatus('internal');
@@ -46,6 +48,8 @@ async function loadCertificateData() {
       return;
     }
 
+    await loadSiteRule(new URL(url).hostname);
+
     const response = await browser.runtime.sendMessage({
       action: "getCertificateData",
       tabId: currentTab.id,
@@ -68,6 +72,35 @@ async function loadCertificateData() {
   }
 }
 
+/* ────────────────────────────────────────────
+   "This site" rule menu
+   ──────────────────────────────────────────── */
+async function loadSiteRule(hostname) {
+  const { rule, locked } = await browser.runtime.sendMessage({ action: "getSiteRule", hostname });
+  const select = document.getElementById('site-rule-action');
+  const note = document.getElementById('site-rule-note');
+
+  select.dataset.hostname = hostname;
+  // The menu edits the rule for this exact host; a wildcard rule is shown as a note
+  select.value = rule?.pattern === hostname ? rule.action : '';
+  select.disabled = locked;
+  note.textContent = locked ? 'Site rules are set by your administrator.'
+                   : rule && rule.pattern !== hostname ? `Rule for ${rule.pattern}: ${select.querySelector(`option[value="${rule.action}"]`).textContent}` : '';
+
+  document.getElementById('site-rule').classList.remove('hidden');
+}
+
+async function saveSiteRule(event) {
+  const select = event.target;
+  const note = document.getElementById('site-rule-note');
+  const response = await browser.runtime.sendMessage({
+    action: "setSiteRule",
+    hostname: select.dataset.hostname,
+    ruleAction: select.value || null
+  });
+  note.textContent = response.success ? 'Saved. Reload the page to apply the rule.' : response.error;
+}
+
 function startPolling() {
   if (pollTimer) return;
   pollTimer = setInterval(async () => {
@@ -107,9 +140,18 @@ function renderPopup(data) {
   // Verdict banner
   html += buildVerdictBanner(data);
 
+  // Allowed-issuer rule failure while the CT verdict is not (yet) available
+  html += buildIssuerPinBox(data);
+
+  // Certificate change since the last visit
+  html += buildCertChangeBox(data);
+
   // SCT Verification section
   html += buildSCTSection(data);
 
+  // CT policy compliance section
+  html += buildComplianceSection(data);
+
   // Connection details section (collapsed by default)
   html += buildConnectionSection(data);
 
@@ -154,6 +196,17 @@ function buildVerdictBanner(data) {
       </div>`;
   }
 
+  if (status === 'ignored') {
+    return `
+      <div class="verdict-banner verdict-verifying">
+        <div class="verdict-icon">OFF</div>
+        <div class="verdict-text">
+          Not verified
+          <div class="verdict-sub">Ignored by the site rule for ${escapeHtml(data.siteRule.pattern)}</div>
+        </div>
+      </div>`;
+  }
+
   if (!data.sctVerification) {
     return `
       <div class="verdict-banner verdict-verifying">
@@ -165,42 +218,63 @@ function buildVerdictBanner(data) {
       </div>`;
   }
 
-  const { total, verified, results } = data.sctVerification;
-  const anyOk = verified >= 1;
+  const { results, policy, verdict, issuerPin } = data.sctVerification;
+  const policyNote = policy ? ` (${escapeHtml(policy.name)} policy)` : '';
+
+  if (verdict.level === 'verified' || verdict.level === 'partial') {
+    const ok = verdict.level === 'verified';
+    return `
+      <div class="verdict-banner ${ok ? 'verdict-ok' : 'verdict-partial'}">
+        <div class="verdict-icon">${ok ? 'OK' : 'PART'}</div>
+        <div class="verdict-text">
+          ${escapeHtml(verdict.title)}
+          <div class="verdict-sub">${escapeHtml(verdict.summary)}${policyNote}</div>
+        </div>
+      </div>`;
+  }
 
-  if (anyOk) {
+  // Certificates issued minutes ago may not be merged into any log yet.
+  // That is expected within the logs' MMD, so it is shown as a neutral state.
+  if (verdict.level === 'pending') {
     return `
-      <div class="verdict-banner verdict-ok">
-        <div class="verdict-icon">OK</div>
+      <div class="verdict-banner verdict-verifying">
+        <div class="verdict-icon">MMD</div>
         <div class="verdict-text">
-          Certificate publicly logged
-          <div class="verdict-sub">${verified}/${total} SCTs passed inclusion and consistency checks</div>
+          ${escapeHtml(verdict.title)}
+          <div class="verdict-sub">Recently issued certificate. CT Guard will re-check once the logs' merge delay has passed.</div>
         </div>
       </div>`;
   }
 
   // Analyze specific failures to determine title and details
-  const analysis = analyzeFailures(results || []);
+  const analysis = analyzeFailures(results || [], policy, issuerPin);
+  const banner = {
+    unverifiable: { cls: 'verdict-unverifiable', icon: '?' },
+    suspicious: { cls: 'verdict-suspicious', icon: 'WARN' },
+    attack: { cls: 'verdict-fail', icon: 'FAIL' }
+  }[verdict.level] || { cls: 'verdict-fail', icon: 'FAIL' };
 
   return `
-    <div class="verdict-banner verdict-fail">
-      <div class="verdict-icon">FAIL</div>
+    <div class="verdict-banner ${banner.cls}">
+      <div class="verdict-icon">${banner.icon}</div>
       <div class="verdict-text">
-        ${analysis.title}
-        <div class="verdict-sub">${verified}/${total} SCTs verified successfully</div>
+        ${escapeHtml(verdict.title)}
+        <div class="verdict-sub">${escapeHtml(verdict.summary)}${policyNote}</div>
       </div>
     </div>
     <div class="warning-box">
-      <div class="warning-title">CT Guard detected a problem with this connection</div>
+      <div class="warning-title">${analysis.title}</div>
       <div class="warning-detail">${analysis.details}</div>
     </div>`;
 }
 
 /**
  * Categorizes verification failures and produces a prioritized title + detail messages.
- * Priority (highest to lowest): proof_mismatch > not_found > inconsistent > log_error > log_unreachable > no_monitor_sth > unsupported
+ * Priority (highest to lowest): bad_sct_signature > bad_sth_signature > sct_after_retirement >
+ *   proof_mismatch > issuer_not_allowed > sct_in_future > not_found > inconsistent > outside_temporal_interval >
+ *   sct_before_not_before > sth_signature_unchecked > issuer_not_found > log_error > log_metadata_unavailable > log_unreachable > sct_signature_unchecked > no_monitor_sth > policy > unsupported > unknown_log > pending_merge
  */
-function analyzeFailures(results) {
+function analyzeFailures(results, policy, issuerPin) {
   // Categorize PoI failures by reason
   const poiByReason = {};
   for (const r of results) {
@@ -215,9 +289,39 @@ function analyzeFailures(results) {
   const pocInconsistent = results.filter(r => r?.poc?.status === 'inconsistent');
   const pocError = results.filter(r => r?.poc?.status === 'error' || r?.poc?.status === 'no_monitor_sth');
 
+  // Included in the log, but the SCT's own signature could not be checked
+  const sctSignatureUnchecked = results.filter(r => r?.poi?.verified && r.poi.sctSignature === 'unchecked');
+
   // Build messages and track severity
   const issues = []; // { priority, title, message }
 
+  if (poiByReason.bad_sct_signature?.length) {
+    const n = poiByReason.bad_sct_signature.length;
+    issues.push({
+      priority: 9,
+      title: 'Invalid SCT signature',
+      message: `${n} SCT${n > 1 ? 's have signatures' : ' has a signature'} that the log's public key does not verify. The SCT may be forged.`
+    });
+  }
+
+  if (poiByReason.bad_sth_signature?.length) {
+    const n = poiByReason.bad_sth_signature.length;
+    issues.push({
+      priority: 8,
+      title: 'Invalid tree head signature',
+      message: `${n} CT log${n > 1 ? 's' : ''} served a tree head whose signature does not verify. The tree head may have been tampered with in transit.`
+    });
+  }
+
+  if (poiByReason.sct_after_retirement?.length) {
+    const n = poiByReason.sct_after_retirement.length;
+    issues.push({
+      priority: 7.5,
+      title: 'SCT issued after log retirement',
+      message: `${n} SCT${n > 1 ? 's are' : ' is'} dated after the log was retired. A retired log's key should no longer sign SCTs; it may have been compromised.`
+    });
+  }
+
   if (poiByReason.proof_mismatch?.length) {
     const n = poiByReason.proof_mismatch.length;
     issues.push({
@@ -227,12 +331,21 @@ function analyzeFailures(results) {
     });
   }
 
+  if (poiByReason.sct_in_future?.length) {
+    const n = poiByReason.sct_in_future.length;
+    issues.push({
+      priority: 6.5,
+      title: 'SCT timestamp in the future',
+      message: `${n} SCT${n > 1 ? 's are' : ' is'} dated in the future. Either the log's clock is wrong or the SCT was not issued by the log.`
+    });
+  }
+
   if (poiByReason.not_found_in_log?.length) {
     const n = poiByReason.not_found_in_log.length;
     issues.push({
       priority: 6,
       title: 'Certificate not found in log',
-      message: `The certificate was not found in ${n} CT log${n > 1 ? 's' : ''}. This could indicate a fraudulently issued certificate.`
+      message: `The certificate was not found in ${n} CT log${n > 1 ? 's' : ''} although the Maximum Merge Delay has passed. This could indicate a fraudulently issued certificate.`
     });
   }
 
@@ -245,6 +358,42 @@ function analyzeFailures(results) {
     });
   }
 
+  if (poiByReason.outside_temporal_interval?.length) {
+    const n = poiByReason.outside_temporal_interval.length;
+    issues.push({
+      priority: 4.8,
+      title: 'Certificate outside log shard interval',
+      message: `${n} SCT${n > 1 ? 's come' : ' comes'} from a sharded log that only accepts certificates expiring in a different period. The log should not have accepted this certificate.`
+    });
+  }
+
+  if (poiByReason.sct_before_not_before?.length) {
+    const n = poiByReason.sct_before_not_before.length;
+    issues.push({
+      priority: 4.6,
+      title: 'SCT predates certificate validity',
+      message: `${n} SCT${n > 1 ? 's are' : ' is'} dated before the certificate's validity period begins.`
+    });
+  }
+
+  if (poiByReason.sth_signature_unchecked?.length) {
+    const n = poiByReason.sth_signature_unchecked.length;
+    issues.push({
+      priority: 4.2,
+      title: 'Tree head signature not checked',
+      message: `The tree head of ${n} CT log${n > 1 ? 's' : ''} could not be authenticated because no usable log key is known, so inclusion was not checked against it.`
+    });
+  }
+
+  if (poiByReason.issuer_not_found?.length) {
+    const n = poiByReason.issuer_not_found.length;
+    issues.push({
+      priority: 4,
+      title: 'Issuer certificate not found',
+      message: `The server did not send the certificate that issued this one, so ${n} embedded SCT${n > 1 ? 's' : ''} could not be checked. The server's certificate chain may be incomplete.`
+    });
+  }
+
   if (poiByReason.log_error?.length) {
     const n = poiByReason.log_error.length;
     issues.push({
@@ -268,7 +417,33 @@ function analyzeFailures(results) {
     issues.push({
       priority: 2,
       title: 'Consistency check failed',
-      message: `Consistency could not be verified for ${n} log${n > 1 ? 's' : ''}. Monitor data was unavailable or the consistency proof failed.`
+      message: `Consistency could not be verified for ${n} log${n > 1 ? 's' : ''}. Monitor data was unavailable, the monitors did not reach a quorum, or the consistency proof failed.`
+    });
+  }
+
+  if (sctSignatureUnchecked.length > 0) {
+    const n = sctSignatureUnchecked.length;
+    issues.push({
+      priority: 2.5,
+      title: 'SCT signature not checked',
+      message: `The signature of ${n} SCT${n > 1 ? 's' : ''} could not be checked because the log key or signature algorithm is not usable. Such SCTs only count under the lenient policy.`
+    });
+  }
+
+  if (poiByReason.log_metadata_unavailable?.length) {
+    issues.push({
+      priority: 3.5,
+      title: 'Log metadata unavailable',
+      message: 'The CT log list could not be loaded, so the SCTs could not be matched to their logs and checked. CT Guard will use the list once it is available.'
+    });
+  }
+
+  if (poiByReason.pending_merge?.length) {
+    const n = poiByReason.pending_merge.length;
+    issues.push({
+      priority: 0.5,
+      title: 'Awaiting log merge',
+      message: `${n} SCT${n > 1 ? 's are' : ' is'} not yet in the log but still within the log's Maximum Merge Delay. ${n > 1 ? 'They' : 'It'} will be re-checked automatically.`
     });
   }
 
@@ -277,7 +452,32 @@ function analyzeFailures(results) {
     issues.push({
       priority: 1,
       title: 'Unsupported log type',
-      message: `${n} SCT${n > 1 ? 's are' : ' is'} from a static-ct log which is not yet supported for verification.`
+      message: `${n} SCT${n > 1 ? 's are' : ' is'} from a log type that CT Guard cannot verify.`
+    });
+  }
+
+  if (poiByReason.unknown_log?.length) {
+    const n = poiByReason.unknown_log.length;
+    issues.push({
+      priority: 0.8,
+      title: 'SCTs from unknown logs',
+      message: `${n} SCT${n > 1 ? 's are' : ' is'} from ${n > 1 ? 'logs' : 'a log'} that ${n > 1 ? 'are' : 'is'} not in the CT log list, such as a private company log. Add ${n > 1 ? 'them' : 'it'} under Custom CT logs in the settings to verify ${n > 1 ? 'them' : 'it'}.`
+    });
+  }
+
+  if (issuerPin?.matched === false) {
+    issues.push({
+      priority: 6.8,
+      title: 'Certificate issuer not allowed',
+      message: `${escapeHtml(issuerPin.detail)}. Update the allowed issuers for ${escapeHtml(issuerPin.pattern)} in the settings if the site changed its CA.`
+    });
+  }
+
+  if (policy && !policy.passed && policy.reasons?.length) {
+    issues.push({
+      priority: 1.5,
+      title: 'Verification policy not met',
+      message: `${escapeHtml(policy.name)} policy: ${policy.reasons.map(escapeHtml).join('; ')}.`
     });
   }
 
@@ -297,6 +497,57 @@ function analyzeFailures(results) {
   };
 }
 
+/* ────────────────────────────────────────────
+   Allowed issuers
+   ──────────────────────────────────────────── */
+function buildIssuerPinBox(data) {
+  // With a verdict, the failure is part of the verdict banner's analysis
+  if (data.issuerPin?.matched !== false || data.sctVerification || data.verificationStatus === 'ignored') return '';
+
+  return `
+    <div class="warning-box">
+      <div class="warning-title">Certificate issuer not allowed</div>
+      <div class="warning-detail">${escapeHtml(data.issuerPin.detail)}. Update the allowed issuers for ${escapeHtml(data.issuerPin.pattern)} in the settings if the site changed its CA.</div>
+    </div>`;
+}
+
+/* ────────────────────────────────────────────
+   Certificate change (trust on first use)
+   ──────────────────────────────────────────── */
+function buildCertChangeBox(data) {
+  const change = data.certChange;
+  if (!change) return '';
+
+  if (change.status === 'renewed') {
+    return `<div class="cert-change-note">Certificate renewed since your last visit (same issuer and key).</div>`;
+  }
+
+  const row = (label, before, after) => `
+      <div class="cert-change-row">
+        <span class="label">${label}:</span>
+        <div class="cert-change-values">
+          <div><span class="cert-change-tag">was</span>${escapeHtml(before || 'unknown')}</div>
+          <div><span class="cert-change-tag">now</span>${escapeHtml(after || 'unknown')}</div>
+        </div>
+      </div>`;
+
+  const rows = [];
+  if (change.changes.includes('issuer')) {
+    rows.push(row('Issuer', change.previous.issuer, change.current.issuer));
+  }
+  if (change.changes.includes('key')) {
+    rows.push(row('Key (SPKI SHA-256)', change.previous.spkiHash, change.current.spkiHash));
+  }
+
+  const seen = `${new Date(change.previous.firstSeen).toLocaleDateString()} to ${new Date(change.previous.lastSeen).toLocaleDateString()}`;
+  return `
+    <div class="warning-box cert-change">
+      <div class="warning-title">Certificate changed since your last visit</div>
+      <div class="warning-detail">This site presents a certificate with a different ${change.changes.join(' and ')} than the one seen from ${escapeHtml(seen)}. This happens when a site changes its CA or key, but can also mean the connection is intercepted.</div>
+      ${rows.join('')}
+    </div>`;
+}
+
 /* ────────────────────────────────────────────
    Connection details
    ──────────────────────────────────────────── */
@@ -366,19 +617,35 @@ function buildSCTSection(data) {
   const verifying = data.verificationStatus === 'verifying';
   let headerExtra = '';
   if (data.sctVerification) {
-    const { verified, total } = data.sctVerification;
-    const anyOk = verified >= 1;
-    headerExtra = `<span class="badge ${anyOk ? 'success' : 'error'}">${verified}/${total}</span>`;
+    const { verified, total, verdict } = data.sctVerification;
+    const badgeClass = verdict.level === 'verified' ? 'success'
+                     : verdict.level === 'attack' ? 'error'
+                     : 'warning';
+    headerExtra = `<span class="badge ${badgeClass}">${verified}/${total}</span>`;
   } else if (verifying) {
     headerExtra = `<span class="badge info">verifying</span>`;
   }
 
+  // SCTs from logs that neither the log list nor the custom logs know are
+  // listed apart, so they do not read as failed checks
   let cardsHtml = '';
+  let unknownHtml = '';
   data.scts.forEach((sct, i) => {
     const vr = data.sctVerification?.results?.[i];
-    cardsHtml += buildSCTCard(sct, i, vr, verifying);
+    if (vr?.poi?.reason === 'unknown_log') {
+      unknownHtml += buildSCTCard(sct, i, vr, verifying);
+    } else {
+      cardsHtml += buildSCTCard(sct, i, vr, verifying);
+    }
   });
 
+  if (unknownHtml) {
+    cardsHtml += `
+        <div class="sct-group-header">SCTs from unknown logs</div>
+        <div class="sct-group-note">These logs are not in the CT log list. Private logs can be added under Custom CT logs in the settings.</div>
+        ${unknownHtml}`;
+  }
+
   return `
     <div class="section">
       <div class="section-header expanded" data-toggle="sct-body">
@@ -395,14 +662,15 @@ function buildSCTCard(sct, index, vr, verifying) {
   // Badges for PoI and PoC shown on the card header
   let poiBadge = '', pocBadge = '';
   if (vr?.poi) {
-    poiBadge = vr.poi.verified
-      ? '<span class="badge success">PoI</span>'
-      : '<span class="badge error">PoI</span>';
+    poiBadge = vr.poi.verified ? '<span class="badge success">PoI</span>'
+             : vr.poi.reason === 'pending_merge' ? '<span class="badge info">PoI</span>'
+             : vr.poi.reason === 'unknown_log' ? '<span class="badge neutral">Unknown log</span>'
+             : '<span class="badge error">PoI</span>';
   } else if (verifying) {
     poiBadge = '<span class="badge info">PoI</span>';
   }
 
-  if (vr?.poc) {
+  if (vr?.poc && vr.poi?.reason !== 'unknown_log') {
     switch (vr.poc.status) {
       case 'consistent':
         pocBadge = '<span class="badge success">PoC</span>';
@@ -423,37 +691,63 @@ function buildSCTCard(sct, index, vr, verifying) {
   // Verification detail box
   let verificationHtml = '';
   if (vr?.poi) {
-    const poiStatusBadge = vr.poi.verified
-      ? '<span class="badge success">Verified</span>'
-      : '<span class="badge error">Failed</span>';
+    const poiStatusBadge = vr.poi.verified ? '<span class="badge success">Verified</span>'
+                         : vr.poi.reason === 'pending_merge' ? '<span class="badge info">Pending merge</span>'
+                         : vr.poi.reason === 'unknown_log' ? '<span class="badge neutral">Not checked</span>'
+                         : '<span class="badge error">Failed</span>';
 
-    let pocStatusBadge;
-    switch (vr.poc?.status) {
-      case 'consistent':
-        pocStatusBadge = '<span class="badge success">Consistent</span>';
-        break;
-      case 'inconsistent':
-        pocStatusBadge = '<span class="badge error">Inconsistent</span>';
+    const pocStatusBadge = buildPocBadge(vr.poc?.status);
+
+    let signatureBadge;
+    switch (vr.poi.sctSignature) {
+      case 'valid':
+        signatureBadge = '<span class="badge success">Valid</span>';
         break;
-      case 'skipped':
-        pocStatusBadge = '<span class="badge warning">Skipped</span>';
+      case 'invalid':
+        signatureBadge = '<span class="badge error">Invalid</span>';
         break;
       default:
-        pocStatusBadge = `<span class="badge error">${escapeHtml(vr.poc?.status || 'unknown')}</span>`;
+        signatureBadge = '<span class="badge warning">Unchecked</span>';
     }
 
     verificationHtml = `
       <div class="verification-box">
+        <div class="info-row">
+          <span class="label">SCT Signature:</span>
+          <span class="value">${signatureBadge}</span>
+        </div>
         <div class="info-row">
           <span class="label">Proof of Inclusion:</span>
           <span class="value">${poiStatusBadge}</span>
         </div>
         ${vr.poi.detail ? `<div class="verification-detail">${escapeHtml(vr.poi.detail)}</div>` : ''}
+        ${vr.poi.leafHash ? `
+        <div class="info-row">
+          <span class="label">Leaf Hash:</span>
+          <span class="value">${escapeHtml(vr.poi.leafHash)}</span>
+        </div>` : ''}
+        ${vr.recheck ? `
+        <div class="info-row">
+          <span class="label">Re-check:</span>
+          <span class="value"><span class="badge info">Queued</span> ${escapeHtml(new Date(vr.recheck.nextAttempt).toLocaleString())}</span>
+        </div>` : ''}
         <div class="info-row">
           <span class="label">Proof of Consistency:</span>
           <span class="value">${pocStatusBadge}</span>
         </div>
         ${vr.poc?.detail ? `<div class="verification-detail">${escapeHtml(vr.poc.detail)}</div>` : ''}
+        ${(vr.poc?.monitors || []).map(monitor => `
+        <div class="info-row">
+          <span class="label">${escapeHtml(monitor.name)}:</span>
+          <span class="value">${buildPocBadge(monitor.status)}</span>
+        </div>
+        ${vr.poc.monitors.length > 1 && monitor.detail ? `<div class="verification-detail">${escapeHtml(monitor.detail)}</div>` : ''}`).join('')}
+        ${vr.poc?.ledger ? `
+        <div class="info-row">
+          <span class="label">STH Ledger:</span>
+          <span class="value">${buildLedgerBadge(vr.poc.ledger.status)}</span>
+        </div>
+        <div class="verification-detail">${escapeHtml(vr.poc.ledger.detail)}</div>` : ''}
       </div>`;
   } else if (verifying) {
     verificationHtml = `
@@ -465,7 +759,9 @@ function buildSCTCard(sct, index, vr, verifying) {
       </div>`;
   }
 
-  const operatorName = sct.logOperator || 'Unknown operator';
+  const operatorName = sct.logCustom ? `${sct.logDescription} (custom)`
+                     : vr?.poi?.reason === 'unknown_log' ? 'Unknown log'
+                     : sct.logOperator || 'Unknown operator';
   const detailId = `sct-detail-${index}`;
 
   return `
@@ -519,15 +815,68 @@ function buildSCTCard(sct, index, vr, verifying) {
           <span class="label">Version:</span>
           <span class="value">${sct.version}</span>
         </div>
+        ${sct.leafIndex != null ? `
+        <div class="info-row">
+          <span class="label">Leaf Index:</span>
+          <span class="value">${sct.leafIndex}</span>
+        </div>` : ''}
         ${sct.extensionsHex ? `
         <div class="info-row">
           <span class="label">Extensions:</span>
-          <span class="value">${escapeHtml(sct.extensionsHex)}</span>
+          <span class="value">${sct.decodedExtensions
+            ? sct.decodedExtensions.map(ext => `${escapeHtml(ext.name)}: ${escapeHtml(ext.dataHex)}`).join('<br>')
+            : escapeHtml(sct.extensionsHex)}</span>
         </div>` : ''}
       </div>
     </div>`;
 }
 
+/* ────────────────────────────────────────────
+   CT policy compliance
+   ──────────────────────────────────────────── */
+function buildComplianceSection(data) {
+  const compliance = data.sctVerification?.compliance;
+  if (!compliance || compliance.length === 0) return '';
+
+  const allPass = compliance.every(p => p.compliant);
+  const passCount = compliance.filter(p => p.compliant).length;
+
+  const rowsHtml = compliance.map(policy => {
+    const badge = policy.compliant
+      ? '<span class="badge success">Pass</span>'
+      : '<span class="badge error">Fail</span>';
+    const summary = policy.required != null
+      ? `${policy.counted}/${policy.required} SCTs, ${policy.operators} operator${policy.operators === 1 ? '' : 's'}`
+      : '';
+    const reasonsHtml = policy.reasons.map(r => `<div class="verification-detail">${escapeHtml(r)}</div>`).join('');
+
+    return `
+      <div class="info-row">
+        <span class="label">${escapeHtml(policy.name)}:</span>
+        <span class="value">${badge} ${escapeHtml(summary)}</span>
+      </div>
+      ${reasonsHtml}`;
+  }).join('');
+
+  const lifetime = compliance[0].lifetimeDays;
+
+  return `
+    <div class="section">
+      <div class="section-header" data-toggle="compliance-body">
+        <h2>CT Policy Compliance <span class="badge ${allPass ? 'success' : 'warning'}">${passCount}/${compliance.length}</span></h2>
+        <span class="chevron">\u25B6</span>
+      </div>
+      <div class="section-body collapsed" id="compliance-body">
+        ${lifetime != null ? `
+        <div class="info-row">
+          <span class="label">Cert lifetime:</span>
+          <span class="value">${lifetime} days</span>
+        </div>` : ''}
+        ${rowsHtml}
+      </div>
+    </div>`;
+}
+
 /* ────────────────────────────────────────────
    Certificate chain
    ──────────────────────────────────────────── */
@@ -609,6 +958,34 @@ function showStatus(type, detail) {
   contentDiv.classList.remove('hidden');
 }
 
+function buildPocBadge(status) {
+  switch (status) {
+    case 'consistent':
+      return '<span class="badge success">Consistent</span>';
+    case 'inconsistent':
+      return '<span class="badge error">Inconsistent</span>';
+    case 'skipped':
+      return '<span class="badge warning">Skipped</span>';
+    default:
+      return `<span class="badge error">${escapeHtml(status || 'unknown')}</span>`;
+  }
+}
+
+function buildLedgerBadge(status) {
+  switch (status) {
+    case 'consistent':
+      return '<span class="badge success">Consistent</span>';
+    case 'first_seen':
+      return '<span class="badge info">First seen</span>';
+    case 'split_view':
+      return '<span class="badge error">Split view</span>';
+    case 'rollback':
+      return '<span class="badge info">Older STH</span>';
+    default:
+      return `<span class="badge warning">${escapeHtml(status)}</span>`;
+  }
+}
+
 function getLogStateText(logState) {
   if (logState.readonly) return 'readonly';
   if (logState.usable) return 'usable';
@@ -0,0 +1,111 @@
+/**
+ * Certificate History Module
+ *
+ * Remembers the leaf certificate each host served (trust on first use), in
+ * extension storage. On later visits the new certificate is compared with
+ * the recorded one, so a host that suddenly presents a certificate from a
+ * different issuer or with a different key is noticed even if its CT checks
+ * pass. A renewal with the same issuer and key is routine.
+ */
+
+const STORAGE_KEY = 'certHistory';
+
+/**
+ * Hosts kept; the ones seen least recently are dropped beyond this
+ */
+const MAX_HOSTS = 2000;
+
+/**
+ * lastSeen is only rewritten when older than this, to avoid a storage write
+ * on every visit
+ */
+const LAST_SEEN_RESOLUTION_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Serializes read-modify-write access to the stored history
+ */
+let historyLock = Promise.resolve();
+
+function withHistory(fn) {
+  const run = historyLock.then(async () => {
+    const stored = await browser.storage.local.get(STORAGE_KEY);
+    const history = stored[STORAGE_KEY] || {};
+    const { result, changed } = await fn(history);
+    if (changed) {
+      await browser.storage.local.set({ [STORAGE_KEY]: history });
+    }
+    return result;
+  });
+  historyLock = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Compares a host's certificate with the one recorded on earlier visits and
+ * records it as the host's current certificate.
+ * @param {string} hostname
+ * @param {object} identity - { fingerprint, issuer, spkiHash, notAfter } of the leaf certificate
+ * @param {number} [now] - Current time in ms
+ * @returns {Promise<{status: string, changes: string[], previous: object|null, current: object}>}
+ *   status is 'first_seen', 'unchanged', 'renewed' (new certificate, same
+ *   issuer and key) or 'changed'; changes lists 'issuer' and/or 'key'
+ */
+function checkCertificateChange(hostname, identity, now = Date.now()) {
+  return withHistory(history => {
+    const record = history[hostname];
+    const current = {
+      fingerprint: identity.fingerprint,
+      issuer: identity.issuer,
+      spkiHash: identity.spkiHash,
+      notAfter: identity.notAfter ?? null
+    };
+
+    if (!record) {
+      history[hostname] = { ...current, firstSeen: now, lastSeen: now, previous: null };
+      pruneHistory(history);
+      return { result: { status: 'first_seen', changes: [], previous: null, current }, changed: true };
+    }
+
+    if (record.fingerprint === current.fingerprint) {
+      const stale = now - record.lastSeen > LAST_SEEN_RESOLUTION_MS;
+      if (stale) record.lastSeen = now;
+      return { result: { status: 'unchanged', changes: [], previous: null, current }, changed: stale };
+    }
+
+    const changes = [];
+    if (record.issuer !== current.issuer) changes.push('issuer');
+    if (record.spkiHash !== current.spkiHash) changes.push('key');
+
+    const previous = {
+      fingerprint: record.fingerprint,
+      issuer: record.issuer,
+      spkiHash: record.spkiHash,
+      notAfter: record.notAfter,
+      firstSeen: record.firstSeen,
+      lastSeen: record.lastSeen
+    };
+    history[hostname] = { ...current, firstSeen: now, lastSeen: now, previous: { ...previous, replacedAt: now } };
+
+    return {
+      result: { status: changes.length > 0 ? 'changed' : 'renewed', changes, previous, current },
+      changed: true
+    };
+  });
+}
+
+/**
+ * Drops the hosts seen least recently once there are more than MAX_HOSTS
+ */
+function pruneHistory(history) {
+  const hosts = Object.keys(history);
+  if (hosts.length <= MAX_HOSTS) return;
+
+  hosts.sort((a, b) => history[a].lastSeen - history[b].lastSeen);
+  for (const hostname of hosts.slice(0, hosts.length - MAX_HOSTS)) {
+    delete history[hostname];
+  }
+}
+
+export default { checkCertificateChange };
+
+export { checkCertificateChange };
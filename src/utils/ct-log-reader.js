@@ -8,7 +8,8 @@
  * not need to know which protocol a log uses.
  */
 
-import { Convert } from 'pvtsutils';
+import { Convert, BufferSourceConverter } from 'pvtsutils';
+import { verifySTHSignature } from './ct-signature.js';
 
 /**
  * Reader for RFC 6962 CT logs (traditional JSON API).
@@ -19,10 +20,14 @@ class RFC6962Reader {
    * @param {string} logUrl - Base URL of the CT log (with trailing slash)
    * @param {object|null} readonlyState - If non-null, the log's readonly state
    *   containing final_tree_head (frozen tree, no STH fetch needed)
+   * @param {string} [logKey] - Base64 SPKI of the log key, used to verify STH signatures
+   * @param {number} [timeoutMs] - Timeout for each request to the log
    */
-  constructor(logUrl, readonlyState) {
+  constructor(logUrl, readonlyState, logKey, timeoutMs) {
     this.logUrl = logUrl;
     this.readonlyState = readonlyState;
+    this.logKey = logKey;
+    this.timeoutMs = timeoutMs;
   }
 
   get supported() { return true; }
@@ -30,28 +35,49 @@ class RFC6962Reader {
   /**
    * Gets the current tree head (STH) from the log.
    * For readonly logs, returns the final_tree_head from metadata (no network request).
-   * @returns {Promise<{treeSize: number, rootHash: Uint8Array}|null>}
+   * Fetched STHs are only returned once tree_head_signature verifies against the log key;
+   * without a usable key the STH is refused as sth_signature_unchecked.
+   * @returns {Promise<{treeSize: number, rootHash: Uint8Array, timestamp: number|null, signature: string}|null>}
    */
   async getTreeHead() {
     if (this.readonlyState) {
-      const fth = this.readonlyState.final_tree_head;
-      return {
-        treeSize: fth.tree_size,
-        rootHash: new Uint8Array(Convert.FromBase64(fth.sha256_root_hash))
-      };
+      return readonlyTreeHead(this.readonlyState);
     }
 
     const url = `${this.logUrl}ct/v1/get-sth`;
     try {
-      const response = await fetch(url);
+      const response = await fetchWithTimeout(url, this.timeoutMs);
       if (!response.ok) {
         return { error: 'http_error', status: response.status, detail: `HTTP ${response.status}` };
       }
       const sth = await response.json();
-      return {
+      if (!isValidSTHResponse(sth)) {
+        return { error: 'malformed_sth', detail: 'STH is missing tree_size, timestamp, sha256_root_hash or tree_head_signature' };
+      }
+      const treeHead = {
         treeSize: sth.tree_size,
-        rootHash: new Uint8Array(Convert.FromBase64(sth.sha256_root_hash))
+        rootHash: new Uint8Array(Convert.FromBase64(sth.sha256_root_hash)),
+        timestamp: sth.timestamp
       };
+      if (treeHead.rootHash.length !== HASH_SIZE) {
+        return { error: 'malformed_sth', detail: `STH root hash is ${treeHead.rootHash.length} bytes, expected ${HASH_SIZE}` };
+      }
+
+      const valid = this.logKey
+        ? await verifySTHSignature(this.logKey, {
+            ...treeHead,
+            signature: new Uint8Array(Convert.FromBase64(sth.tree_head_signature))
+          })
+        : null;
+      if (valid === false) {
+        return { error: 'bad_sth_signature', detail: 'STH signature does not verify against the log public key' };
+      }
+      if (valid === null) {
+        // An STH that cannot be authenticated must not be used for proofs
+        return { error: 'sth_signature_unchecked', detail: 'STH signature could not be checked: no usable log key' };
+      }
+
+      return { ...treeHead, signature: 'valid' };
     } catch (error) {
       console.log(`[CTLogReader] Failed to fetch STH: ${error.message}`);
       return { error: 'unreachable', detail: error.message };
@@ -68,7 +94,7 @@ class RFC6962Reader {
     const leafHashB64 = btoa(String.fromCharCode(...leafHash));
     const url = `${this.logUrl}ct/v1/get-proof-by-hash?hash=${encodeURIComponent(leafHashB64)}&tree_size=${treeSize}`;
     try {
-      const response = await fetch(url);
+      const response = await fetchWithTimeout(url, this.timeoutMs);
       if (!response.ok) {
         if (response.status === 404) {
           return { error: 'not_found', detail: 'Certificate not found in log' };
@@ -91,7 +117,7 @@ class RFC6962Reader {
   async getConsistencyProof(first, second) {
     const url = `${this.logUrl}ct/v1/get-sth-consistency?first=${first}&second=${second}`;
     try {
-      const response = await fetch(url);
+      const response = await fetchWithTimeout(url, this.timeoutMs);
       if (!response.ok) {
         return { error: 'http_error', status: response.status, detail: `HTTP ${response.status}` };
       }
@@ -103,35 +129,455 @@ class RFC6962Reader {
   }
 }
 
+/**
+ * Tile geometry for static-ct logs (c2sp.org/tlog-tiles).
+ * Each tile holds up to 256 hashes, i.e. 8 levels of the Merkle tree.
+ */
+const TILE_HEIGHT = 8;
+const TILE_WIDTH = 1 << TILE_HEIGHT;
+const HASH_SIZE = 32;
+
+/**
+ * Raised internally when a tile or checkpoint cannot be fetched.
+ * Converted to the reader's { error, status, detail } result shape at the
+ * public method boundary.
+ */
+class TileFetchError extends Error {
+  constructor(error, detail, status) {
+    super(detail);
+    this.error = error;
+    this.status = status;
+  }
+}
+
 /**
  * Reader for static-ct (Sunlight) logs (tile-based API).
- * Currently a stub - returns null for all operations.
+ *
+ * Static-ct logs expose no proof endpoints. The tree head is read from the
+ * signed checkpoint, and inclusion/consistency proofs are assembled locally
+ * from the Merkle hash tiles, then returned in the same shape as the
+ * RFC 6962 JSON API so ct-verify.js can consume them unchanged.
+ *
+ * Static-ct logs cannot be searched by leaf hash, so inclusion proofs require
+ * the leaf index carried in the SCT's leaf_index extension.
  */
 class StaticCTReader {
   /**
    * @param {string} monitoringUrl - Tile-based monitoring URL for reads
+   * @param {object|null} readonlyState - If non-null, the log's readonly state
+   *   containing final_tree_head (frozen tree, no checkpoint fetch needed)
+   * @param {number|null} leafIndex - Leaf index from the SCT's leaf_index extension
+   * @param {string} [logKey] - Base64 SPKI of the log key, used to verify checkpoint signatures
+   * @param {string} [logId] - Hex log ID, part of the checkpoint signature key ID
+   * @param {number} [timeoutMs] - Timeout for each request to the log
    */
-  constructor(monitoringUrl) {
-    this.monitoringUrl = monitoringUrl;
+  constructor(monitoringUrl, readonlyState, leafIndex, logKey, logId, timeoutMs) {
+    this.monitoringUrl = monitoringUrl.replace(/\/+$/, '');
+    this.readonlyState = readonlyState;
+    this.leafIndex = leafIndex;
+    this.logKey = logKey;
+    this.logId = logId;
+    this.timeoutMs = timeoutMs;
+    this.tileCache = new Map();
   }
 
-  get supported() { return false; }
+  get supported() { return true; }
 
-  async getTreeHead() { return null; }
-  async getInclusionProof() { return null; }
-  async getConsistencyProof() { return null; }
+  /**
+   * Gets the current tree head from the log's checkpoint.
+   * For readonly logs, returns the final_tree_head from metadata (no network request).
+   * Checkpoints are only returned once the log's note signature verifies;
+   * without a usable key the checkpoint is refused as sth_signature_unchecked.
+   * @returns {Promise<{treeSize: number, rootHash: Uint8Array, timestamp: number|null, signature: string}|null>}
+   */
+  async getTreeHead() {
+    if (this.readonlyState) {
+      return readonlyTreeHead(this.readonlyState);
+    }
+
+    const url = `${this.monitoringUrl}/checkpoint`;
+    try {
+      const response = await fetchWithTimeout(url, this.timeoutMs);
+      if (!response.ok) {
+        return { error: 'http_error', status: response.status, detail: `HTTP ${response.status}` };
+      }
+      const checkpoint = parseCheckpoint(await response.text());
+      if (!checkpoint) {
+        return { error: 'malformed_checkpoint', detail: 'Checkpoint could not be parsed' };
+      }
+
+      const signature = this.logKey && this.logId
+        ? await verifyCheckpointSignature(checkpoint, this.logKey, this.logId)
+        : { status: 'unchecked' };
+      if (signature.status === 'invalid') {
+        return { error: 'bad_sth_signature', detail: 'Checkpoint has no valid signature from the log key' };
+      }
+      if (signature.status === 'unchecked') {
+        return { error: 'sth_signature_unchecked', detail: 'Checkpoint signature could not be checked: no usable log key' };
+      }
+      return {
+        treeSize: checkpoint.treeSize,
+        rootHash: checkpoint.rootHash,
+        timestamp: signature.timestamp,
+        signature: 'valid'
+      };
+    } catch (error) {
+      console.log(`[CTLogReader] Failed to fetch checkpoint: ${error.message}`);
+      return { error: 'unreachable', detail: error.message };
+    }
+  }
+
+  /**
+   * Builds a Merkle audit proof (proof of inclusion) from hash tiles.
+   * @param {Uint8Array} leafHash - SHA-256 hash of the leaf
+   * @param {number} treeSize - Tree size to build the proof against
+   * @returns {Promise<{leaf_index: number, audit_path: string[]}|null>}
+   */
+  async getInclusionProof(leafHash, treeSize) {
+    const leafIndex = this.leafIndex;
+    if (leafIndex === null || leafIndex === undefined) {
+      return { error: 'no_leaf_index', detail: 'SCT has no leaf_index extension, static-ct logs cannot be searched by hash' };
+    }
+    if (leafIndex >= treeSize) {
+      return { error: 'not_found', detail: `Leaf index ${leafIndex} is not yet in tree of size ${treeSize}` };
+    }
+
+    try {
+      const storedLeafHash = await this.getNodeHash(0, leafIndex, treeSize);
+      if (!BufferSourceConverter.isEqual(storedLeafHash, leafHash)) {
+        // The index is already in the tree, so this is not a pending merge
+        return { error: 'leaf_mismatch', detail: `Log entry at index ${leafIndex} does not match the certificate` };
+      }
+
+      const path = await this.buildAuditPath(leafIndex, 0, treeSize, treeSize);
+      return {
+        leaf_index: leafIndex,
+        audit_path: path.map(node => Convert.ToBase64(node))
+      };
+    } catch (error) {
+      return tileErrorResult(error, 'inclusion proof');
+    }
+  }
+
+  /**
+   * Builds a consistency proof between two tree sizes from hash tiles.
+   * @param {number} first - Smaller tree size
+   * @param {number} second - Larger tree size
+   * @returns {Promise<{consistency: string[]}|null>}
+   */
+  async getConsistencyProof(first, second) {
+    try {
+      const proof = await this.buildSubproof(first, 0, second, true, second);
+      return { consistency: proof.map(node => Convert.ToBase64(node)) };
+    } catch (error) {
+      return tileErrorResult(error, 'consistency proof');
+    }
+  }
+
+  /**
+   * PATH(m, D[start:end]) from RFC 6962 Section 2.1.1, leaf-first order.
+   * @private
+   */
+  async buildAuditPath(m, start, end, treeSize) {
+    const n = end - start;
+    if (n === 1) return [];
+
+    const k = largestPowerOf2Below(n);
+    if (m - start < k) {
+      const path = await this.buildAuditPath(m, start, start + k, treeSize);
+      path.push(await this.getSubtreeHash(start + k, end, treeSize));
+      return path;
+    }
+    const path = await this.buildAuditPath(m, start + k, end, treeSize);
+    path.push(await this.getSubtreeHash(start, start + k, treeSize));
+    return path;
+  }
+
+  /**
+   * SUBPROOF(m, D[start:end], b) from RFC 6962 Section 2.1.2.
+   * @private
+   */
+  async buildSubproof(m, start, end, complete, treeSize) {
+    const n = end - start;
+    if (m === n) {
+      return complete ? [] : [await this.getSubtreeHash(start, end, treeSize)];
+    }
+
+    const k = largestPowerOf2Below(n);
+    if (m <= k) {
+      const proof = await this.buildSubproof(m, start, start + k, complete, treeSize);
+      proof.push(await this.getSubtreeHash(start + k, end, treeSize));
+      return proof;
+    }
+    const proof = await this.buildSubproof(m - k, start + k, end, false, treeSize);
+    proof.push(await this.getSubtreeHash(start, start + k, treeSize));
+    return proof;
+  }
+
+  /**
+   * MTH(D[start:end]) - hash of an arbitrary (possibly unbalanced) subtree.
+   * @private
+   */
+  async getSubtreeHash(start, end, treeSize) {
+    const n = end - start;
+    if (isPowerOf2(n) && start % n === 0) {
+      return this.getNodeHash(Math.log2(n), start / n, treeSize);
+    }
+
+    const k = largestPowerOf2Below(n);
+    const left = await this.getSubtreeHash(start, start + k, treeSize);
+    const right = await this.getSubtreeHash(start + k, end, treeSize);
+    return hashChildren(left, right);
+  }
+
+  /**
+   * Hash of the complete subtree node at (level, index).
+   * Tiles only store every 8th level, so nodes in between are recomputed
+   * from the stored hashes below them.
+   * @private
+   */
+  async getNodeHash(level, index, treeSize) {
+    const tileLevel = Math.floor(level / TILE_HEIGHT);
+    const levelsAbove = level % TILE_HEIGHT;
+    const count = 2 ** levelsAbove;
+    const firstStored = index * count;
+
+    const tileIndex = Math.floor(firstStored / TILE_WIDTH);
+    const tile = await this.getTile(tileLevel, tileIndex, treeSize);
+
+    const offset = firstStored % TILE_WIDTH;
+    if ((offset + count) * HASH_SIZE > tile.length) {
+      throw new TileFetchError('malformed_tile', `Tile ${tileLevel}/${tileIndex} is too short`);
+    }
+
+    let hashes = [];
+    for (let i = 0; i < count; i++) {
+      const pos = (offset + i) * HASH_SIZE;
+      hashes.push(tile.subarray(pos, pos + HASH_SIZE));
+    }
+    while (hashes.length > 1) {
+      const next = [];
+      for (let i = 0; i < hashes.length; i += 2) {
+        next.push(await hashChildren(hashes[i], hashes[i + 1]));
+      }
+      hashes = next;
+    }
+    return hashes[0];
+  }
+
+  /**
+   * Fetches a hash tile, using the partial tile width implied by treeSize.
+   * Logs may drop partial tiles once the full tile exists, so a missing
+   * partial tile falls back to the full one (complete hashes never change).
+   * @private
+   */
+  getTile(tileLevel, tileIndex, treeSize) {
+    const storedAtLevel = Math.floor(treeSize / TILE_WIDTH ** tileLevel);
+    const width = Math.min(TILE_WIDTH, storedAtLevel - tileIndex * TILE_WIDTH);
+
+    const key = `${tileLevel}/${tileIndex}/${width}`;
+    if (!this.tileCache.has(key)) {
+      const tilePath = `${this.monitoringUrl}/tile/${tileLevel}/${encodeTileIndex(tileIndex)}`;
+      const promise = (async () => {
+        if (width < TILE_WIDTH) {
+          const partial = await this.fetchTile(`${tilePath}.p/${width}`);
+          if (partial) return partial;
+        }
+        const full = await this.fetchTile(tilePath);
+        if (!full) {
+          throw new TileFetchError('http_error', `Tile ${tileLevel}/${tileIndex} not found`, 404);
+        }
+        return full;
+      })();
+      promise.catch(() => this.tileCache.delete(key));
+      this.tileCache.set(key, promise);
+    }
+    return this.tileCache.get(key);
+  }
+
+  /**
+   * @returns {Promise<Uint8Array|null>} Tile bytes, or null on 404
+   * @private
+   */
+  async fetchTile(url) {
+    let response;
+    try {
+      response = await fetchWithTimeout(url, this.timeoutMs);
+    } catch (error) {
+      console.log(`[CTLogReader] Failed to fetch tile: ${error.message}`);
+      throw new TileFetchError('unreachable', error.message);
+    }
+    if (response.status === 404) return null;
+    if (!response.ok) {
+      throw new TileFetchError('http_error', `HTTP ${response.status}`, response.status);
+    }
+    return new Uint8Array(await response.arrayBuffer());
+  }
+}
+
+/**
+ * Tree head of a readonly log, taken from final_tree_head in the log list.
+ * The log list is the trust anchor here, so there is no signature to check.
+ */
+function readonlyTreeHead(readonlyState) {
+  const fth = readonlyState.final_tree_head;
+  return {
+    treeSize: fth.tree_size,
+    rootHash: new Uint8Array(Convert.FromBase64(fth.sha256_root_hash)),
+    timestamp: null,
+    signature: 'log_list'
+  };
+}
+
+/**
+ * Checks that a get-sth response has every field the STH signature covers.
+ */
+function isValidSTHResponse(sth) {
+  return Number.isSafeInteger(sth?.tree_size) && sth.tree_size >= 0 &&
+    Number.isSafeInteger(sth.timestamp) && sth.timestamp >= 0 &&
+    typeof sth.sha256_root_hash === 'string' && sth.sha256_root_hash.length > 0 &&
+    typeof sth.tree_head_signature === 'string' && sth.tree_head_signature.length > 0;
+}
+
+/**
+ * Parses a checkpoint signed note (c2sp.org/tlog-checkpoint, c2sp.org/signed-note).
+ * Format: origin line, decimal tree size, base64 root hash, optional extension
+ * lines, blank line, then "\u2014 <name> <base64 signature>" lines.
+ * @param {string} text - Checkpoint note text
+ * @returns {{origin: string, treeSize: number, rootHash: Uint8Array, signatures: Array}|null}
+ */
+function parseCheckpoint(text) {
+  const separator = text.indexOf('\n\n');
+  if (separator === -1) return null;
+
+  const lines = text.slice(0, separator).split('\n');
+  if (lines.length < 3 || !/^\d+$/.test(lines[1])) return null;
+
+  const rootHash = new Uint8Array(Convert.FromBase64(lines[2]));
+  if (rootHash.length !== HASH_SIZE) return null;
+
+  const signatures = [];
+  for (const line of text.slice(separator + 2).split('\n')) {
+    const match = line.match(/^\u2014 (\S+) (\S+)$/);
+    if (match) {
+      signatures.push({ name: match[1], bytes: new Uint8Array(Convert.FromBase64(match[2])) });
+    }
+  }
+
+  return {
+    origin: lines[0],
+    treeSize: Number(lines[1]),
+    rootHash,
+    signatures
+  };
+}
+
+/**
+ * Verifies the log's RFC6962NoteSignature on a checkpoint (c2sp.org/static-ct-api).
+ * Key ID = SHA-256(name || 0x0A || 0x05 || log_id)[:4]; the signature is
+ * timestamp(8) followed by a DigitallySigned TreeHeadSignature.
+ * @returns {Promise<{status: string, timestamp?: number}>} status 'valid' with the
+ *   signed timestamp, 'invalid', or 'unchecked' if the log key could not be used
+ */
+async function verifyCheckpointSignature(checkpoint, logKey, logId) {
+  const name = new TextEncoder().encode(checkpoint.origin);
+  const logIdBytes = new Uint8Array(Convert.FromHex(logId));
+  const keyIdInput = new Uint8Array(name.length + 2 + logIdBytes.length);
+  keyIdInput.set(name, 0);
+  keyIdInput[name.length] = 0x0a;
+  keyIdInput[name.length + 1] = 0x05;
+  keyIdInput.set(logIdBytes, name.length + 2);
+  const keyId = new Uint8Array(await crypto.subtle.digest('SHA-256', keyIdInput)).subarray(0, 4);
+
+  let unchecked = false;
+  for (const sig of checkpoint.signatures) {
+    if (sig.name !== checkpoint.origin || sig.bytes.length < 12) continue;
+    if (!BufferSourceConverter.isEqual(sig.bytes.subarray(0, 4), keyId)) continue;
+
+    const timestamp = Number(new DataView(sig.bytes.buffer, sig.bytes.byteOffset + 4, 8).getBigUint64(0, false));
+    const valid = await verifySTHSignature(logKey, {
+      timestamp,
+      treeSize: checkpoint.treeSize,
+      rootHash: checkpoint.rootHash,
+      signature: sig.bytes.subarray(12)
+    });
+    if (valid) return { status: 'valid', timestamp };
+    if (valid === null) unchecked = true;
+  }
+
+  console.log('[CTLogReader] No valid log signature on checkpoint');
+  return { status: unchecked ? 'unchecked' : 'invalid' };
+}
+
+/**
+ * Encodes a tile index as path elements: groups of three decimal digits,
+ * all but the last prefixed with "x" (e.g. 1234067 -> x001/x234/067).
+ */
+function encodeTileIndex(index) {
+  let path = String(index % 1000).padStart(3, '0');
+  let rest = Math.floor(index / 1000);
+  while (rest > 0) {
+    path = `x${String(rest % 1000).padStart(3, '0')}/${path}`;
+    rest = Math.floor(rest / 1000);
+  }
+  return path;
+}
+
+function tileErrorResult(error, what) {
+  console.log(`[CTLogReader] Failed to build ${what}: ${error.message}`);
+  if (error instanceof TileFetchError) {
+    return { error: error.error, status: error.status, detail: error.message };
+  }
+  return { error: 'log_error', detail: error.message };
+}
+
+/**
+ * SHA-256(0x01 || left || right) - Merkle interior node hash.
+ */
+async function hashChildren(left, right) {
+  const combined = new Uint8Array(1 + left.length + right.length);
+  combined[0] = 0x01;
+  combined.set(left, 1);
+  combined.set(right, 1 + left.length);
+  return new Uint8Array(await crypto.subtle.digest('SHA-256', combined));
+}
+
+function isPowerOf2(n) {
+  const b = BigInt(n);
+  return b > 0n && (b & (b - 1n)) === 0n;
+}
+
+/**
+ * Largest power of two strictly less than n (the "k" of RFC 6962).
+ */
+function largestPowerOf2Below(n) {
+  let k = 1;
+  while (k * 2 < n) k *= 2;
+  return k;
+}
+
+/**
+ * fetch() that is aborted after timeoutMs. A timeout surfaces as a rejected
+ * promise, like any other network failure.
+ * @param {string} url
+ * @param {number} [timeoutMs] - No timeout if not set
+ * @returns {Promise<Response>}
+ */
+function fetchWithTimeout(url, timeoutMs) {
+  return timeoutMs ? fetch(url, { signal: AbortSignal.timeout(timeoutMs) }) : fetch(url);
 }
 
 /**
  * Factory: creates the appropriate reader for an SCT's log type.
- * @param {object} sct - SCT object with logType, logUrl, monitoringUrl, logState
+ * @param {object} sct - SCT object with logType, logUrl, monitoringUrl, logState, logKey, leafIndex
+ * @param {number} [timeoutMs] - Timeout for each request to the log
  * @returns {RFC6962Reader|StaticCTReader}
  */
-function createLogReader(sct) {
+function createLogReader(sct, timeoutMs) {
   if (sct.logType === 'static-ct') {
-    return new StaticCTReader(sct.monitoringUrl);
+    return new StaticCTReader(sct.monitoringUrl, sct.logState?.readonly || null, sct.leafIndex ?? null, sct.logKey, sct.logId, timeoutMs);
   }
-  return new RFC6962Reader(sct.logUrl, sct.logState?.readonly || null);
+  return new RFC6962Reader(sct.logUrl, sct.logState?.readonly || null, sct.logKey, timeoutMs);
 }
 
-export { RFC6962Reader, StaticCTReader, createLogReader };
+export { RFC6962Reader, StaticCTReader, createLogReader, fetchWithTimeout, parseCheckpoint, encodeTileIndex };
@@ -0,0 +1,180 @@
+/**
+ * CT Policy Module
+ *
+ * Evaluates a certificate's SCTs against browser CT policies (Chrome, Apple).
+ * Unlike the inclusion and consistency checks, a CT policy only asks whether
+ * enough validly signed SCTs from suitable, independent logs are present.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Log states (CT log list v3) in which a log's SCTs count towards compliance
+ */
+const QUALIFYING_STATES = ['qualified', 'usable', 'readonly'];
+
+/**
+ * State a log was in before entering its current one. The log list only
+ * records the current state and when it was entered, so earlier history
+ * follows the log lifecycle (pending -> qualified -> usable -> readonly/retired).
+ */
+const PREVIOUS_STATE = {
+  qualified: 'pending',
+  usable: 'qualified',
+  readonly: 'usable',
+  retired: 'usable',
+  rejected: 'pending'
+};
+
+/**
+ * Built-in browser CT policies.
+ *
+ * requiredEmbedded(lifetimeDays) - number of embedded SCTs required
+ * requiredOther - number of SCTs required when delivered via TLS or OCSP
+ * acceptRetired - embedded SCTs from retired logs count if issued before retirement
+ * requireRFC6962Log - at least one SCT must come from an RFC 6962 log
+ */
+const CT_POLICIES = [
+  {
+    id: 'chrome',
+    name: 'Chrome CT Policy',
+    requiredEmbedded: lifetimeDays => lifetimeDays <= 180 ? 2 : 3,
+    requiredOther: 2,
+    minOperators: 2,
+    acceptRetired: true,
+    requireRFC6962Log: true
+  },
+  {
+    id: 'apple',
+    name: 'Apple CT Policy',
+    requiredEmbedded: lifetimeDays => lifetimeDays <= 180 ? 2 : 3,
+    requiredOther: 2,
+    minOperators: 2,
+    acceptRetired: true,
+    requireRFC6962Log: false
+  }
+];
+
+/**
+ * Evaluates all built-in CT policies for a certificate.
+ * @param {object} certData - Certificate data with certificates[0].validity
+ * @param {Array<object>} results - Per-SCT verification results ({ sct, poi })
+ * @param {number} [now] - Time of check in ms
+ * @returns {Array<object>} One entry per policy: { id, name, compliant, reasons, ... }
+ */
+function evaluateCTPolicies(certData, results, now = Date.now()) {
+  const validity = certData.certificates?.[0]?.validity;
+  const lifetimeDays = validity?.start && validity?.end
+    ? (validity.end - validity.start) / DAY_MS
+    : null;
+
+  return CT_POLICIES.map(policy => evaluatePolicy(policy, lifetimeDays, results, now));
+}
+
+/**
+ * Evaluates one CT policy.
+ * SCTs delivered in the certificate and those delivered via TLS/OCSP are
+ * checked as separate sets; either set satisfying the policy is compliant.
+ */
+function evaluatePolicy(policy, lifetimeDays, results, now) {
+  const embedded = results.filter(r => r.sct.origin === 'embedded');
+  const other = results.filter(r => r.sct.origin !== 'embedded');
+
+  const embeddedCheck = checkSCTSet(policy, embedded, lifetimeDays === null ? null : policy.requiredEmbedded(lifetimeDays), policy.acceptRetired, now);
+  const otherCheck = other.length > 0
+    ? checkSCTSet(policy, other, policy.requiredOther, false, now)
+    : null;
+
+  const passing = [embeddedCheck, otherCheck].find(c => c?.compliant);
+  const reported = passing || (embedded.length > 0 || !otherCheck ? embeddedCheck : otherCheck);
+
+  return {
+    id: policy.id,
+    name: policy.name,
+    compliant: Boolean(passing),
+    lifetimeDays: lifetimeDays === null ? null : Math.round(lifetimeDays),
+    ...reported
+  };
+}
+
+/**
+ * Checks one set of SCTs against a policy's count, operator and log type requirements.
+ */
+function checkSCTSet(policy, results, required, acceptRetired, now) {
+  const reasons = [];
+
+  if (required === null) {
+    return { compliant: false, required: null, counted: 0, operators: 0, reasons: ['Certificate validity period is unknown'] };
+  }
+
+  const counted = [];
+  for (const { sct, poi } of results) {
+    if (poi?.sctSignature !== 'valid') {
+      reasons.push(`SCT from ${describeLog(sct)} not counted: signature ${poi?.sctSignature || 'not checked'}`);
+      continue;
+    }
+
+    const stateAtSCT = getLogStateAt(sct.logState, sct.timestamp);
+    const stateNow = getLogStateAt(sct.logState, now);
+    const qualifiesNow = QUALIFYING_STATES.includes(stateNow);
+    const retiredAfterSCT = acceptRetired && stateNow === 'retired' && QUALIFYING_STATES.includes(stateAtSCT);
+
+    if (!qualifiesNow && !retiredAfterSCT) {
+      reasons.push(`SCT from ${describeLog(sct)} not counted: log was ${stateAtSCT || 'unknown'} at SCT time and is ${stateNow || 'unknown'} now`);
+      continue;
+    }
+
+    counted.push({ sct, qualifiesNow });
+  }
+
+  const operators = new Set(counted.map(c => c.sct.logOperator)).size;
+
+  if (counted.length < required) {
+    reasons.push(`${counted.length} qualifying SCT${counted.length === 1 ? '' : 's'}, ${required} required`);
+  }
+  if (operators < policy.minOperators) {
+    reasons.push(`SCTs from ${operators} distinct log operator${operators === 1 ? '' : 's'}, ${policy.minOperators} required`);
+  }
+  if (counted.length > 0 && !counted.some(c => c.qualifiesNow)) {
+    reasons.push('No SCT from a log that is currently qualified, usable or read-only');
+  }
+  if (policy.requireRFC6962Log && counted.length > 0 && !counted.some(c => c.sct.logType === 'rfc6962')) {
+    reasons.push('No SCT from an RFC 6962 log');
+  }
+
+  const compliant = counted.length >= required
+    && operators >= policy.minOperators
+    && counted.some(c => c.qualifiesNow)
+    && (!policy.requireRFC6962Log || counted.some(c => c.sct.logType === 'rfc6962'));
+
+  return {
+    compliant,
+    required,
+    counted: counted.length,
+    operators,
+    reasons: compliant ? [] : reasons
+  };
+}
+
+/**
+ * Determines a log's state at a point in time from its log list state entry.
+ * @param {object} logState - Log list v3 state, e.g. { retired: { timestamp } }
+ * @param {number} timestamp - Time in ms
+ * @returns {string|null} State name, or null if unknown
+ */
+function getLogStateAt(logState, timestamp) {
+  if (!logState) return null;
+
+  const [name, info] = Object.entries(logState)[0] || [];
+  if (!name) return null;
+
+  const since = info?.timestamp ? Date.parse(info.timestamp) : NaN;
+  if (Number.isNaN(since) || timestamp >= since) return name;
+  return PREVIOUS_STATE[name] || null;
+}
+
+function describeLog(sct) {
+  return sct.logDescription || sct.logId.substring(0, 16);
+}
+
+export { CT_POLICIES, evaluateCTPolicies, getLogStateAt };
@@ -0,0 +1,161 @@
+/**
+ * CT Signature Module
+ *
+ * Verifies TLS digitally-signed structs (RFC 5246 Section 4.7) produced by
+ * CT logs (SCTs and STHs), using the log's public key from the CT log list
+ * and WebCrypto.
+ * RFC 6962 logs sign with ECDSA P-256 or RSA (PKCS#1 v1.5), both over SHA-256.
+ */
+
+import * as asn1js from 'asn1js';
+import { Convert } from 'pvtsutils';
+
+/**
+ * TLS HashAlgorithm / SignatureAlgorithm registry values (RFC 5246 Section 7.4.1.4.1)
+ */
+const TLS_HASH_ALGORITHMS = { 4: 'sha256', 5: 'sha384', 6: 'sha512' };
+const TLS_SIGNATURE_ALGORITHMS = { 1: 'rsa', 3: 'ecdsa' };
+
+const HASH_ALGORITHMS = {
+  sha256: 'SHA-256',
+  sha384: 'SHA-384',
+  sha512: 'SHA-512'
+};
+
+/**
+ * Imported CryptoKeys, keyed by algorithm and base64 SPKI
+ */
+const keyCache = new Map();
+
+/**
+ * Verifies a digitally-signed struct against a log public key.
+ *
+ * @param {string} logKey - Base64 DER SubjectPublicKeyInfo from the log list
+ * @param {string} signatureAlgorithm - 'ecdsa' or 'rsa'
+ * @param {string} hashAlgorithm - 'sha256', 'sha384' or 'sha512'
+ * @param {Uint8Array} signature - Signature bytes (DER-encoded for ECDSA)
+ * @param {Uint8Array} data - The serialized struct that was signed
+ * @returns {Promise<boolean|null>} true/false, or null if the key or
+ *   algorithm cannot be used (the signature could not be checked)
+ */
+async function verifyDigitallySigned(logKey, signatureAlgorithm, hashAlgorithm, signature, data) {
+  const hash = HASH_ALGORITHMS[hashAlgorithm];
+  if (!logKey || !hash) return null;
+
+  let importParams, verifyParams, signatureBytes;
+  if (signatureAlgorithm === 'ecdsa') {
+    importParams = { name: 'ECDSA', namedCurve: 'P-256' };
+    verifyParams = { name: 'ECDSA', hash };
+    signatureBytes = ecdsaSignatureToRaw(signature, 32);
+    if (!signatureBytes) return false;
+  } else if (signatureAlgorithm === 'rsa') {
+    importParams = { name: 'RSASSA-PKCS1-v1_5', hash };
+    verifyParams = { name: 'RSASSA-PKCS1-v1_5' };
+    signatureBytes = signature;
+  } else {
+    return null;
+  }
+
+  const key = await importLogKey(logKey, importParams);
+  if (!key) return null;
+
+  try {
+    return await crypto.subtle.verify(verifyParams, key, signatureBytes, data);
+  } catch (error) {
+    console.log(`[CT Signature] Verification error: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Verifies a log's signature over a Signed Tree Head (RFC 6962 Section 3.5).
+ *
+ * @param {string} logKey - Base64 DER SubjectPublicKeyInfo from the log list
+ * @param {object} sth - { timestamp, treeSize, rootHash: Uint8Array, signature: Uint8Array }
+ *   where signature is the TLS-encoded DigitallySigned struct
+ * @returns {Promise<boolean|null>} true/false, or null if the signature could not be checked
+ */
+async function verifySTHSignature(logKey, sth) {
+  const signed = parseDigitallySigned(sth.signature);
+  if (!signed) return false;
+
+  // TreeHeadSignature: version(1) + signature_type(1) + timestamp(8) + tree_size(8) + root_hash(32)
+  const data = new Uint8Array(50);
+  const view = new DataView(data.buffer);
+  data[0] = 0x00; // version (v1)
+  data[1] = 0x01; // signature_type (tree_hash)
+  view.setBigUint64(2, BigInt(sth.timestamp), false);
+  view.setBigUint64(10, BigInt(sth.treeSize), false);
+  data.set(sth.rootHash, 18);
+
+  return verifyDigitallySigned(logKey, signed.signatureAlgorithm, signed.hashAlgorithm, signed.signature, data);
+}
+
+/**
+ * Parses a TLS DigitallySigned struct:
+ * hash_algorithm(1) + signature_algorithm(1) + signature_length(2) + signature
+ * @param {Uint8Array} bytes
+ * @returns {{hashAlgorithm: string, signatureAlgorithm: string, signature: Uint8Array}|null}
+ */
+function parseDigitallySigned(bytes) {
+  if (!bytes || bytes.length < 4) return null;
+  const length = (bytes[2] << 8) | bytes[3];
+  if (bytes.length !== 4 + length) return null;
+
+  return {
+    hashAlgorithm: TLS_HASH_ALGORITHMS[bytes[0]] || `unknown(${bytes[0]})`,
+    signatureAlgorithm: TLS_SIGNATURE_ALGORITHMS[bytes[1]] || `unknown(${bytes[1]})`,
+    signature: bytes.subarray(4)
+  };
+}
+
+/**
+ * Imports (and caches) a log's SPKI public key for verification.
+ * @returns {Promise<CryptoKey|null>}
+ */
+async function importLogKey(logKey, algorithm) {
+  const cacheKey = `${algorithm.name}:${algorithm.hash || ''}:${logKey}`;
+  if (keyCache.has(cacheKey)) return keyCache.get(cacheKey);
+
+  let key = null;
+  try {
+    key = await crypto.subtle.importKey(
+      'spki',
+      Convert.FromBase64(logKey),
+      algorithm,
+      false,
+      ['verify']
+    );
+  } catch (error) {
+    console.log(`[CT Signature] Failed to import log key (${algorithm.name}): ${error.message}`);
+  }
+  keyCache.set(cacheKey, key);
+  return key;
+}
+
+/**
+ * Converts a DER ECDSA signature (SEQUENCE { r INTEGER, s INTEGER }) into the
+ * fixed-size r || s form WebCrypto expects.
+ * @param {Uint8Array} der - DER-encoded signature
+ * @param {number} size - Byte length of each coordinate (32 for P-256)
+ * @returns {Uint8Array|null} Raw signature, or null if malformed
+ */
+function ecdsaSignatureToRaw(der, size) {
+  const asn1 = asn1js.fromBER(new Uint8Array(der).buffer);
+  if (asn1.offset === -1 || !(asn1.result instanceof asn1js.Sequence)) return null;
+
+  const [r, s] = asn1.result.valueBlock.value;
+  if (!(r instanceof asn1js.Integer) || !(s instanceof asn1js.Integer)) return null;
+
+  const raw = new Uint8Array(2 * size);
+  for (const [i, int] of [r, s].entries()) {
+    let bytes = int.valueBlock.valueHexView;
+    // Strip the sign-padding zero bytes DER adds to positive integers
+    while (bytes.length > size && bytes[0] === 0) bytes = bytes.subarray(1);
+    if (bytes.length > size) return null;
+    raw.set(bytes, (i + 1) * size - bytes.length);
+  }
+  return raw;
+}
+
+export { verifyDigitallySigned, verifySTHSignature, parseDigitallySigned, ecdsaSignatureToRaw };
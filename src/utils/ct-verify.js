@@ -7,58 +7,314 @@
 import * as pkijs from 'pkijs';
 import * as asn1js from 'asn1js';
 import { Convert, BufferSourceConverter } from 'pvtsutils';
-import { createLogReader } from './ct-log-reader.js';
+import { createLogReader, fetchWithTimeout } from './ct-log-reader.js';
+import { verifyDigitallySigned, verifySTHSignature } from './ct-signature.js';
+import { evaluateCTPolicies, getLogStateAt } from './ct-policy.js';
+import { evaluateVerificationPolicy } from './verification-policy.js';
+import { computeVerdict } from './verdict.js';
 
 /**
- * Verifies all SCTs in a certificate (PoI + STH consistency)
+ * Allowed clock skew between the log and this client when checking SCT timestamps
+ */
+const CLOCK_SKEW_MS = 10 * 60 * 1000;
+
+/**
+ * MMD assumed for logs whose MMD is unknown (every log in the CT log lists uses 24h)
+ */
+const DEFAULT_MMD_SECONDS = 86400;
+
+/**
+ * Verifies all SCTs in a certificate (PoI + STH consistency) and evaluates
+ * browser CT policy compliance
  * @param {object} certData - Certificate data including SCTs and certificates
- * @param {string} [backendUrl] - Backend API base URL for STH consistency checks
+ * @param {object} [options]
+ * @param {Array<{name: string, url: string}>} [options.monitors] - Monitor backends
+ *   queried for their STH of each log
+ * @param {number} [options.monitorQuorum] - Monitors that must agree for a
+ *   consistency verdict (default: all of them)
+ * @param {object} [options.sthLedger] - Store of previously verified STHs
+ *   ({ getSTHs(logId), recordSTH(logId, sth) }) for client-side split-view detection
+ * @param {string|object} [options.policy] - Verification policy ID ('lenient',
+ *   'default', 'strict') or policy object
+ * @param {number} [options.timeoutMs] - Timeout for each log and monitor request
+ * @param {boolean} [options.logListAvailable] - false if the CT log list could not
+ *   be loaded, so the SCTs carry no log metadata
  * @returns {Promise<object>} Verification results
  */
-async function verifyCertificateSCTs(certData, backendUrl) {
+async function verifyCertificateSCTs(certData, options = {}) {
   console.log('[CT Verify] Starting SCT verification');
 
   console.log('[CT Verify] Extracting precert TBS from leaf cert');
   const modifiedTBS = extractPrecertTBS(certData.certificates[0].rawDER);
 
-  console.log('[CT Verify] Getting issuer key hash from issuer cert');
-  const issuerKeyHash = getIssuerKeyHash(certData.certificates[1]);
+  console.log('[CT Verify] Resolving issuer from certificate chain');
+  const issuer = await resolveIssuer(certData.certificates);
+
+  // Everything needed to rebuild either leaf type: embedded SCTs cover the
+  // precertificate, TLS- and OCSP-delivered SCTs cover the final certificate.
+  const logEntry = {
+    issuerKeyHash: issuer ? getIssuerKeyHash(issuer.certificate) : null,
+    precertTBS: modifiedTBS,
+    certificate: new Uint8Array(certData.certificates[0].rawDER)
+  };
 
   console.log('[CT Verify] Verifying SCTs -------------------');
   const results = [];
   for (const sct of certData.scts) {
-    const reader = createLogReader(sct);
-    const poi = await verifySCT(sct, issuerKeyHash, modifiedTBS, reader);
-
-    let poc;
-    if (poi.verified && backendUrl) {
-      poc = await verifySTHConsistency(sct, poi.sthClient, backendUrl, reader);
-    } else if (!poi.verified) {
-      const isRetired = sct.logState && sct.logState.retired;
-      poc = { status: 'skipped', detail: isRetired ? 'Log retired' : 'PoI failed, consistency check skipped' };
+    const reader = createLogReader(sct, options.timeoutMs);
+
+    let poi;
+    if (options.logListAvailable === false) {
+      // Without the log list there is no log URL or key to check the SCT against
+      poi = { verified: false, reason: 'log_metadata_unavailable', detail: 'CT log list unavailable, the SCT could not be matched to its log', sthClient: null, sctSignature: 'unchecked' };
+    } else if (!sct.logType) {
+      // Neither the log list nor the custom logs know this log (e.g. a private log)
+      poi = { verified: false, reason: 'unknown_log', detail: 'The SCT is from a log that is not in the CT log list or the custom logs', sthClient: null, sctSignature: 'unchecked' };
+    } else if (sct.origin === 'embedded' && !logEntry.issuerKeyHash) {
+      // The precert leaf commits to the issuer key, so it cannot be rebuilt
+      poi = { verified: false, reason: 'issuer_not_found', detail: 'Issuer certificate not found in the served chain', sthClient: null, sctSignature: 'unchecked' };
     } else {
-      poc = { status: 'skipped', detail: 'No backend URL configured' };
+      // A forged or implausible SCT must not get as far as the log
+      const sctSignature = await verifySCTSignature(sct, logEntry);
+      const timestampIssue = checkSCTTimestamp(sct, certData.certificates[0].validity);
+      if (sctSignature === 'invalid') {
+        poi = { verified: false, reason: 'bad_sct_signature', detail: 'SCT signature does not verify against the log public key', sthClient: null };
+      } else if (timestampIssue) {
+        poi = { verified: false, ...timestampIssue, sthClient: null };
+      } else {
+        poi = await verifySCT(sct, logEntry, reader);
+      }
+      poi.sctSignature = sctSignature;
     }
 
+    const poc = await checkConsistency(sct, poi, reader, options);
+
     results.push({ sct, poi, poc });
   }
 
   console.log('[CT Verify] Verification results:', results);
 
-  // One fully verified SCT is sufficient — if a certificate is verifiably included
-  // in at least one honest log whose tree is consistent with the monitor's view,
-  // the certificate is publicly auditable and CT's security goal is achieved.
-  // Unverifiable SCTs (retired log offline, log temporarily down, no monitor STH)
-  // do not fail the verdict — they simply don't contribute to it.
-  const verifiedCount = results.filter(r => r.poi.verified && (r.poc.status === 'consistent' || r.poc.status === 'skipped')).length;
+  // Under the default policy one fully verified SCT is sufficient — if a certificate
+  // is verifiably included in at least one honest log whose tree is consistent with
+  // the monitor's view, the certificate is publicly auditable and CT's security goal
+  // is achieved. Which unverifiable SCTs count, and how many are needed, is up to the policy.
+  const policy = evaluateVerificationPolicy(results, options.policy);
+
+  // Browser CT policy compliance is reported alongside, not folded into the verdict
+  const compliance = evaluateCTPolicies(certData, results);
 
   return {
-    verified: verifiedCount,
+    verified: policy.counted,
     total: results.length,
+    policy,
+    verdict: computeVerdict({ total: results.length, results, policy }),
+    issuer: issuer ? { index: issuer.index, subject: issuer.certificate.subject } : null,
+    compliance,
     results
   };
 }
 
+/**
+ * Runs the STH consistency checks for an SCT whose inclusion was verified:
+ * against each monitor's STH (combined under the quorum rule) and against the
+ * local STH ledger. A split view found in the ledger makes the result
+ * inconsistent even when the monitors agree or are unavailable.
+ * @returns {Promise<object>} PoC result ({ status, detail, monitors, quorum, ledger, ... })
+ */
+async function checkConsistency(sct, poi, reader, { monitors = [], monitorQuorum, sthLedger, timeoutMs }) {
+  if (!poi.verified) {
+    const isRetired = sct.logState && sct.logState.retired;
+    return { status: 'skipped', detail: isRetired ? 'Log retired' : 'PoI failed, consistency check skipped' };
+  }
+
+  const poc = monitors.length > 0
+    ? await checkMonitorQuorum(sct, poi.sthClient, reader, monitors, monitorQuorum, timeoutMs)
+    : { status: 'skipped', detail: 'No monitor configured' };
+
+  if (sthLedger) {
+    poc.ledger = await checkSTHLedger(sct, poi.sthClient, sthLedger, reader);
+    if (poc.ledger.status === 'split_view') {
+      poc.status = 'inconsistent';
+      poc.detail = poc.ledger.detail;
+    }
+  }
+  return poc;
+}
+
+/**
+ * Compares the client's STH with every monitor's STH in parallel and combines
+ * the answers. A monitor reporting an inconsistent tree with an STH that carries
+ * a valid log signature is proof of a split view, so it makes the result
+ * inconsistent however many monitors agree. Otherwise at least `quorum`
+ * monitors must answer consistent; without a quorum the check fails closed, so
+ * stale or compromised monitors cannot outvote the evidence or hide a split view.
+ * @param {object} sct - SCT object
+ * @param {object} sthClient - STH used for the PoI
+ * @param {object} reader - CT log reader instance
+ * @param {Array<{name: string, url: string}>} monitors - Monitor backends
+ * @param {number} [quorum] - Required agreeing monitors (default: all)
+ * @param {number} [timeoutMs] - Timeout for each monitor request
+ * @returns {Promise<object>} PoC result with per-monitor answers in `monitors`
+ */
+async function checkMonitorQuorum(sct, sthClient, reader, monitors, quorum, timeoutMs) {
+  const answers = await Promise.all(monitors.map(async monitor => ({
+    name: monitor.name || monitor.url,
+    url: monitor.url,
+    ...await verifySTHConsistency(sct, sthClient, monitor.url, reader, timeoutMs)
+  })));
+
+  const required = Math.min(Math.max(quorum || monitors.length, 1), monitors.length);
+  const consistent = answers.filter(a => a.status === 'consistent').length;
+  const inconsistent = answers.filter(a => a.status === 'inconsistent').length;
+  // A log-signed STH that does not fit the client's tree is evidence, not a vote
+  const proof = answers.find(a => a.status === 'inconsistent' && a.sthMonitor?.signature === 'valid');
+  const summary = `${consistent} of ${monitors.length} monitor${monitors.length === 1 ? '' : 's'} consistent, ${required} required`;
+
+  let status, detail;
+  if (proof) {
+    status = 'inconsistent';
+    detail = monitors.length === 1 ? proof.detail : `Monitor ${proof.name} holds a log-signed STH inconsistent with the client's: ${proof.detail}`;
+  } else if (consistent >= required) {
+    status = 'consistent';
+    detail = monitors.length === 1 ? answers[0].detail : summary;
+  } else if (answers.every(a => a.status === 'no_monitor_sth')) {
+    status = 'no_monitor_sth';
+    detail = monitors.length === 1 ? answers[0].detail : 'No monitor has an STH for this log (fail-closed)';
+  } else {
+    status = 'error';
+    detail = monitors.length === 1 ? answers[0].detail : `No quorum: ${summary} (fail-closed)`;
+  }
+
+  console.log(`[CT Verify] Monitor quorum: ${status} (${summary})`);
+
+  return {
+    status,
+    detail,
+    sthClient: { treeSize: sthClient.treeSize },
+    quorum: { required, consistent, inconsistent, total: monitors.length },
+    monitors: answers
+  };
+}
+
+/**
+ * Checks a newly seen STH against the STHs previously verified for the log.
+ *
+ * - Same tree size, different root hash: split view
+ * - Smaller tree size than the largest recorded STH: a consistency proof to the
+ *   largest recorded STH must verify, else split view. A proven older STH is
+ *   reported as rollback, which is common from cached or load-balanced log
+ *   frontends and does not affect the consistency result.
+ * - Larger tree size: a consistency proof from the largest recorded STH must verify
+ *
+ * The STH is recorded when it is consistent with the ledger (or the first one seen).
+ *
+ * @param {object} sct - SCT object (logId, logState)
+ * @param {object} sthClient - { treeSize, rootHash, timestamp } used for the PoI
+ * @param {object} sthLedger - { getSTHs(logId), recordSTH(logId, sth) }
+ * @param {object} reader - CT log reader instance
+ * @returns {Promise<{status: string, detail: string, comparedTo?: number}>}
+ *   status is 'first_seen', 'consistent', 'split_view', 'rollback' or 'error'
+ */
+async function checkSTHLedger(sct, sthClient, sthLedger, reader) {
+  let recorded;
+  try {
+    recorded = await sthLedger.getSTHs(sct.logId);
+  } catch (error) {
+    console.log(`[CT Verify] STH ledger unavailable: ${error.message}`);
+    return { status: 'error', detail: `STH ledger unavailable: ${error.message}` };
+  }
+
+  const { treeSize, rootHash } = sthClient;
+  const sameSize = recorded.find(sth => sth.treeSize === treeSize);
+  const largest = recorded[0];
+
+  let result;
+  if (sameSize) {
+    result = BufferSourceConverter.isEqual(sameSize.rootHash, rootHash)
+      ? { status: 'consistent', detail: `Matches the STH of size ${treeSize} seen before`, comparedTo: treeSize }
+      : { status: 'split_view', detail: `Log presented two different root hashes for tree size ${treeSize}`, comparedTo: treeSize };
+  } else if (!largest) {
+    result = { status: 'first_seen', detail: 'First STH seen from this log' };
+  } else if (treeSize < largest.treeSize) {
+    result = await checkLedgerConsistencyProof(largest, sthClient, reader);
+    if (result.status === 'consistent') {
+      result = {
+        status: 'rollback',
+        detail: `Log presented tree size ${treeSize}, older than the size ${largest.treeSize} seen before but consistent with it`,
+        comparedTo: largest.treeSize
+      };
+    }
+  } else {
+    result = await checkLedgerConsistencyProof(largest, sthClient, reader);
+  }
+
+  console.log(`[CT Verify] STH ledger: ${result.status} (${result.detail})`);
+
+  if (result.status === 'consistent' || result.status === 'first_seen') {
+    try {
+      await sthLedger.recordSTH(sct.logId, sthClient);
+    } catch (error) {
+      console.log(`[CT Verify] Failed to record STH: ${error.message}`);
+    }
+  }
+  return result;
+}
+
+/**
+ * Verifies that the smaller of a recorded STH and the new STH is a prefix of
+ * the larger one.
+ */
+async function checkLedgerConsistencyProof(recorded, sthClient, reader) {
+  const [older, newer] = recorded.treeSize < sthClient.treeSize ? [recorded, sthClient] : [sthClient, recorded];
+  const first = older.treeSize;
+  const second = newer.treeSize;
+  const comparedTo = recorded.treeSize;
+
+  const data = await reader.getConsistencyProof(first, second);
+  if (!data || data.error) {
+    return {
+      status: 'error',
+      detail: `Failed to fetch consistency proof ${first} - ${second} from log (${data?.detail || 'unknown error'})`,
+      comparedTo
+    };
+  }
+
+  const consistencyPath = data.consistency.map(node => new Uint8Array(Convert.FromBase64(node)));
+  const isConsistent = await verifyConsistencyProof(first, second, older.rootHash, newer.rootHash, consistencyPath);
+
+  return isConsistent
+    ? { status: 'consistent', detail: `Consistent with the STH of size ${comparedTo} seen before`, comparedTo }
+    : { status: 'split_view', detail: `Consistency proof between tree sizes ${first} and ${second} does not verify against the STH of size ${comparedTo} seen before`, comparedTo };
+}
+
+/**
+ * Re-checks a single SCT from a previous verification by its leaf hash.
+ *
+ * The certificate itself is not needed: the leaf hash recorded in the first
+ * attempt's poi identifies the log entry. Used for deferred re-verification of
+ * SCTs that were pending a merge or whose log could not be reached.
+ *
+ * @param {object} sct - SCT object with injected log info
+ * @param {string} leafHash - Hex Merkle leaf hash from a previous poi.leafHash
+ * @param {object} [options] - Same options as verifyCertificateSCTs
+ * @returns {Promise<{poi: object, poc: object}>}
+ */
+async function recheckSCT(sct, leafHash, options = {}) {
+  console.log(`[CT Verify] Re-checking SCT from log: ${sct.logUrl || sct.logId}`);
+  const reader = createLogReader(sct, options.timeoutMs);
+
+  let poi;
+  if (!reader.supported) {
+    poi = { verified: false, reason: 'unsupported_log_type', detail: `Log type '${sct.logType}' not yet supported`, sthClient: null };
+  } else {
+    poi = await checkInclusion(sct, new Uint8Array(Convert.FromHex(leafHash)), reader);
+  }
+  poi.leafHash = leafHash;
+
+  const poc = await checkConsistency(sct, poi, reader, options);
+  return { poi, poc };
+}
+
 /**
  * Extracts the TBS portion of a precertificate by removing SCT extension
  * @param {Array<number>} certDER - Raw DER-encoded certificate data
@@ -82,15 +338,68 @@ function extractPrecertTBS(certDER) {
   return new Uint8Array(tbsBytes);
 }
 
+/**
+ * Finds the leaf certificate's issuer in the served chain.
+ *
+ * Servers may send chains out of order, with extra cross-signed certificates,
+ * or without intermediates at all, so certificates[1] is not assumed to be the
+ * issuer. A candidate must match the leaf's Authority Key Identifier with its
+ * Subject Key Identifier (or, when either is absent, its subject must match
+ * the leaf's issuer name), and the leaf's signature must verify under its key.
+ *
+ * @param {Array<object>} certificates - Chain from getSecurityInfo() (leaf first, with rawDER)
+ * @returns {Promise<{index: number, certificate: object}|null>} The issuer's
+ *   chain entry, or null if no certificate in the chain issued the leaf
+ */
+async function resolveIssuer(certificates) {
+  const leaf = parseCertificate(certificates[0].rawDER);
+  const authorityKeyId = leaf.extensions
+    ?.find(ext => ext.extnID === '2.5.29.35')
+    ?.parsedValue?.keyIdentifier?.valueBlock.valueHexView;
+
+  for (let i = 1; i < certificates.length; i++) {
+    if (!certificates[i].rawDER) continue;
+    const candidate = parseCertificate(certificates[i].rawDER);
+
+    const subjectKeyId = candidate.extensions
+      ?.find(ext => ext.extnID === '2.5.29.14')
+      ?.parsedValue?.valueBlock.valueHexView;
+    const matches = authorityKeyId && subjectKeyId
+      ? BufferSourceConverter.isEqual(authorityKeyId, subjectKeyId)
+      : leaf.issuer.isEqual(candidate.subject);
+    if (!matches) continue;
+
+    try {
+      if (await leaf.verify(candidate)) {
+        console.log(`[CT Verify] Issuer found at chain position ${i}`);
+        return { index: i, certificate: certificates[i] };
+      }
+    } catch (error) {
+      console.log(`[CT Verify] Leaf signature check against chain position ${i} failed: ${error.message}`);
+    }
+  }
+
+  console.log('[CT Verify] No issuer for the leaf certificate in the served chain');
+  return null;
+}
+
+function parseCertificate(certDER) {
+  const asn1 = asn1js.fromBER(new Uint8Array(certDER).buffer);
+  return new pkijs.Certificate({ schema: asn1.result });
+}
+
 function getIssuerKeyHash(issuerCert) {
   return new Uint8Array(Convert.FromBase64(issuerCert.subjectPublicKeyInfoDigest.sha256));
 }
 
 /**
  * Verifies a single SCT against its CT log
- * Returns { verified, sthClient } where sthClient contains the STH used for PoI
+ * Returns { verified, sthClient, leafHash } where sthClient contains the STH used for PoI
+ * @param {object} sct - SCT object (origin selects the leaf entry type)
+ * @param {object} logEntry - { issuerKeyHash, precertTBS, certificate }
+ * @param {object} reader - CT log reader instance
  */
-async function verifySCT(sct, issuerKeyHash, modifiedTBS, reader) {
+async function verifySCT(sct, logEntry, reader) {
   console.log('[CT Verify] Starting verification for SCT:', sct);
   console.log(`[CT Verify] from log: ${sct.logUrl || sct.logId}`);
 
@@ -99,7 +408,7 @@ async function verifySCT(sct, issuerKeyHash, modifiedTBS, reader) {
     return { verified: false, reason: 'unsupported_log_type', detail: `Log type '${sct.logType}' not yet supported`, sthClient: null };
   }
 
-  const merkleTreeLeaf = buildMerkleTreeLeaf(sct, issuerKeyHash, modifiedTBS);
+  const merkleTreeLeaf = buildMerkleTreeLeaf(sct, logEntry);
 
   // Compute leaf hash: SHA-256(0x00 || leaf_data)
   const leafWithPrefix = new Uint8Array(1 + merkleTreeLeaf.length);
@@ -108,9 +417,25 @@ async function verifySCT(sct, issuerKeyHash, modifiedTBS, reader) {
   const leafHashBuffer = await crypto.subtle.digest('SHA-256', leafWithPrefix);
   const leafHash = new Uint8Array(leafHashBuffer);
 
+  // The leaf hash identifies the log entry, so it is kept for later re-checks
+  const poi = await checkInclusion(sct, leafHash, reader);
+  return { ...poi, leafHash: Convert.ToHex(leafHash) };
+}
+
+/**
+ * Checks that a leaf hash is included in the log's current tree.
+ * @param {object} sct - SCT object with log metadata (logMmd, logState)
+ * @param {Uint8Array} leafHash - Merkle leaf hash
+ * @param {object} reader - Log reader for the SCT's log
+ * @returns {Promise<object>} PoI result ({ verified, reason, detail, sthClient, ... })
+ */
+async function checkInclusion(sct, leafHash, reader) {
   const treeHead = await reader.getTreeHead();
   if (treeHead?.error) {
     console.log(`[CT Verify] Failed to get tree head: ${treeHead.error}`);
+    if (treeHead.error === 'bad_sth_signature' || treeHead.error === 'sth_signature_unchecked') {
+      return { verified: false, reason: treeHead.error, detail: treeHead.detail, sthClient: null };
+    }
     const isRetired = sct.logState && sct.logState.retired;
     const reason = treeHead.error === 'unreachable' ? 'log_unreachable' : 'log_error';
     const detail = isRetired
@@ -123,9 +448,46 @@ async function verifySCT(sct, issuerKeyHash, modifiedTBS, reader) {
     return { verified: false, reason: 'log_error', detail: 'Failed to get tree head from log', sthClient: null };
   }
 
-  const { treeSize, rootHash } = treeHead;
+  const { treeSize, rootHash, timestamp } = treeHead;
+
+  // A log must issue a new STH at least once per MMD (RFC 6962 Section 3.5).
+  // An older STH can hide recently added entries, so the result records it.
+  const sthFresh = isSTHFresh(timestamp, sct.logMmd);
+  if (!sthFresh) {
+    console.log(`[CT Verify] STH is older than the log's MMD (${sct.logMmd}s)`);
+  }
 
   const proof = await reader.getInclusionProof(leafHash, treeSize);
+  if (proof?.error === 'leaf_mismatch') {
+    // The log signed this leaf index in the SCT but holds a different entry there
+    return {
+      verified: false,
+      reason: 'proof_mismatch',
+      detail: `The log's entry at the SCT's leaf index is a different certificate (${proof.detail})`,
+      sthClient: null
+    };
+  }
+  if (proof?.error === 'not_found') {
+    // Within the MMD the log is not yet obliged to have merged the entry
+    const mergeDeadline = getMergeDeadline(sct);
+    const observedAt = timestamp || Date.now();
+    if (observedAt < mergeDeadline) {
+      console.log(`[CT Verify] Not yet merged, within MMD until ${new Date(mergeDeadline).toISOString()}`);
+      return {
+        verified: false,
+        reason: 'pending_merge',
+        detail: `Not yet in the log, which has until ${new Date(mergeDeadline).toISOString()} (MMD) to merge it`,
+        sthClient: null,
+        recheckAt: mergeDeadline
+      };
+    }
+    return {
+      verified: false,
+      reason: 'not_found_in_log',
+      detail: `Not in the log although its MMD passed at ${new Date(mergeDeadline).toISOString()} (${proof.detail})`,
+      sthClient: null
+    };
+  }
   if (proof?.error) {
     const reason = proof.error === 'not_found' ? 'not_found_in_log'
                  : proof.error === 'unreachable' ? 'log_unreachable'
@@ -143,37 +505,174 @@ async function verifySCT(sct, issuerKeyHash, modifiedTBS, reader) {
     verified: isValid,
     reason: isValid ? 'verified' : 'proof_mismatch',
     detail: isValid
-      ? `Audit proof verified (leaf ${proof.leaf_index}, tree size ${treeSize})`
+      ? `Audit proof verified (leaf ${proof.leaf_index}, tree size ${treeSize})${sthFresh ? '' : ', but the STH is older than the log\'s MMD'}`
       : 'Audit proof verification failed (root hash mismatch)',
-    sthClient: isValid ? { treeSize, rootHash } : null
+    sthClient: isValid ? { treeSize, rootHash, timestamp } : null,
+    sthSignature: treeHead.signature,
+    sthFresh
   };
 }
 
 /**
- * Builds a MerkleTreeLeaf for precert_entry type (RFC 6962)
- * Structure: version(1) + leaf_type(1) + timestamp(8) + entry_type(2) +
- *            issuer_key_hash(32) + tbs_length(3) + tbs_certificate + extensions(2)
+ * Time by which the log must have merged an SCT's entry into its tree:
+ * SCT timestamp + Maximum Merge Delay (RFC 6962 Section 3).
+ * @param {object} sct - SCT object with timestamp and logMmd (seconds)
+ * @returns {number} Deadline in ms
  */
-function buildMerkleTreeLeaf(sct, issuerKeyHash, tbsCertificate) {
-  console.log('[CT Verify] Building MerkleTreeLeaf');
-  const leaf = [];
-  leaf.push(0x00); // version
-  leaf.push(0x00); // leaf_type (timestamped_entry)
+function getMergeDeadline(sct) {
+  return sct.timestamp + (sct.logMmd || DEFAULT_MMD_SECONDS) * 1000;
+}
+
+/**
+ * Checks an STH timestamp against the log's Maximum Merge Delay.
+ * STHs without a signed timestamp (readonly logs) or logs without a known
+ * MMD are treated as fresh.
+ * @param {number|null} timestamp - STH timestamp in ms
+ * @param {number} [mmdSeconds] - Log MMD in seconds
+ * @param {number} [now] - Current time in ms
+ * @returns {boolean}
+ */
+function isSTHFresh(timestamp, mmdSeconds, now = Date.now()) {
+  if (!timestamp || !mmdSeconds) return true;
+  return now - timestamp <= mmdSeconds * 1000;
+}
+
+/**
+ * Sanity-checks an SCT timestamp against the clock, the certificate and the log.
+ *
+ * - The SCT must not be dated in the future (beyond clock skew)
+ * - The SCT must not predate the certificate's notBefore (beyond clock skew)
+ * - For sharded logs, the certificate's notAfter must fall in the log's temporal_interval
+ * - The SCT must not be dated after the log was retired
+ *
+ * @param {object} sct - SCT object with timestamp, logState, logTemporalInterval
+ * @param {object} [validity] - Leaf validity { start, end } in ms
+ * @param {number} [now] - Current time in ms
+ * @returns {{reason: string, detail: string}|null} The first failed check, or null
+ */
+function checkSCTTimestamp(sct, validity, now = Date.now()) {
+  if (sct.timestamp > now + CLOCK_SKEW_MS) {
+    return { reason: 'sct_in_future', detail: `SCT timestamp ${sct.timestampDate} is in the future` };
+  }
+
+  if (validity?.start && sct.timestamp < validity.start - CLOCK_SKEW_MS) {
+    return {
+      reason: 'sct_before_not_before',
+      detail: `SCT timestamp ${sct.timestampDate} is before the certificate's notBefore (${new Date(validity.start).toISOString()})`
+    };
+  }
+
+  const interval = sct.logTemporalInterval;
+  if (interval && validity?.end) {
+    const start = Date.parse(interval.start_inclusive);
+    const end = Date.parse(interval.end_exclusive);
+    if (validity.end < start || validity.end >= end) {
+      return {
+        reason: 'outside_temporal_interval',
+        detail: `Certificate expiry ${new Date(validity.end).toISOString()} is outside the log shard's interval (${interval.start_inclusive} - ${interval.end_exclusive})`
+      };
+    }
+  }
+
+  if (getLogStateAt(sct.logState, sct.timestamp) === 'retired') {
+    return {
+      reason: 'sct_after_retirement',
+      detail: `SCT timestamp ${sct.timestampDate} is after the log was retired (${sct.logState.retired.timestamp})`
+    };
+  }
 
-  const timestampBytes = encodeBigEndian(sct.timestamp, 8);
-  leaf.push(...timestampBytes);
+  return null;
+}
 
-  leaf.push(0x00, 0x01); // entry_type (precert_entry)
-  leaf.push(...issuerKeyHash); // 32 bytes
+/**
+ * Verifies an SCT's signature against its log's public key (RFC 6962 Section 3.2)
+ * @param {object} sct - SCT object with logKey, signature and algorithms
+ * @param {object} logEntry - { issuerKeyHash, precertTBS, certificate }
+ * @returns {Promise<string>} 'valid', 'invalid', or 'unchecked' when the log
+ *   key is unknown or the algorithm is unsupported
+ */
+async function verifySCTSignature(sct, logEntry) {
+  if (!sct.logKey) {
+    console.log(`[CT Verify] No log key for ${sct.logId}, SCT signature unchecked`);
+    return 'unchecked';
+  }
 
+  const signedData = buildSCTSignedData(sct, logEntry);
+  const valid = await verifyDigitallySigned(
+    sct.logKey,
+    sct.signatureAlgorithm,
+    sct.signatureHashAlgorithm,
+    new Uint8Array(Convert.FromHex(sct.signature)),
+    signedData
+  );
+
+  console.log(`[CT Verify] SCT signature check: ${valid}`);
+  if (valid === null) return 'unchecked';
+  return valid ? 'valid' : 'invalid';
+}
 
-  const tbsLengthBytes = encodeBigEndian(tbsCertificate.length, 3);
-  leaf.push(...tbsLengthBytes);
+/**
+ * Builds the digitally-signed struct an SCT signature covers (RFC 6962 Section 3.2)
+ * Structure: sct_version(1) + signature_type(1) + TimestampedEntry
+ */
+function buildSCTSignedData(sct, logEntry) {
+  const entry = buildTimestampedEntry(sct, logEntry);
+  const data = new Uint8Array(2 + entry.length);
+  data[0] = sct.version;
+  data[1] = 0x00; // signature_type (certificate_timestamp)
+  data.set(entry, 2);
+
+  return data;
+}
 
-  leaf.push(...tbsCertificate);
-  leaf.push(0x00, 0x00); // extensions (empty)
+/**
+ * Builds a MerkleTreeLeaf (RFC 6962 Section 3.4)
+ * Structure: version(1) + leaf_type(1) + TimestampedEntry
+ */
+function buildMerkleTreeLeaf(sct, logEntry) {
+  console.log('[CT Verify] Building MerkleTreeLeaf');
+  const entry = buildTimestampedEntry(sct, logEntry);
+  const leaf = new Uint8Array(2 + entry.length);
+  leaf[0] = 0x00; // version
+  leaf[1] = 0x00; // leaf_type (timestamped_entry)
+  leaf.set(entry, 2);
 
-  return new Uint8Array(leaf);
+  return leaf;
+}
+
+/**
+ * Builds a TimestampedEntry, shared by the Merkle leaf and the SCT signature
+ * input. The SCT's CtExtensions are carried verbatim.
+ *
+ * Embedded SCTs were issued for the precertificate (precert_entry); SCTs from
+ * the TLS extension or a stapled OCSP response cover the final certificate
+ * (x509_entry).
+ *
+ * precert_entry: timestamp(8) + entry_type(2) + issuer_key_hash(32) +
+ *                tbs_length(3) + tbs_certificate + extensions_length(2) + extensions
+ * x509_entry:    timestamp(8) + entry_type(2) + cert_length(3) + certificate +
+ *                extensions_length(2) + extensions
+ */
+function buildTimestampedEntry(sct, logEntry) {
+  const extensions = sct.extensions || [];
+  const entry = [];
+  entry.push(...encodeBigEndian(sct.timestamp, 8));
+
+  if (sct.origin === 'embedded') {
+    entry.push(0x00, 0x01); // entry_type (precert_entry)
+    entry.push(...logEntry.issuerKeyHash); // 32 bytes
+    entry.push(...encodeBigEndian(logEntry.precertTBS.length, 3));
+    entry.push(...logEntry.precertTBS);
+  } else {
+    entry.push(0x00, 0x00); // entry_type (x509_entry)
+    entry.push(...encodeBigEndian(logEntry.certificate.length, 3));
+    entry.push(...logEntry.certificate);
+  }
+
+  entry.push(...encodeBigEndian(extensions.length, 2));
+  entry.push(...extensions);
+
+  return new Uint8Array(entry);
 }
 
 
@@ -358,13 +857,18 @@ async function hashNode(left, right) {
  * pass a standard consistency check (the original tree is a valid prefix of the
  * extended tree) but fails the exact comparison (tree sizes differ).
  *
- * @param {object} sct - SCT object with logId (hex), logUrl, logState
+ * The monitor returns the log-signed STH, and its signature is checked with
+ * the log key before comparing. A monitor can then withhold tree heads, but
+ * not make them up. If the signature cannot be checked the STH is not used.
+ *
+ * @param {object} sct - SCT object with logId (hex), logUrl, logState, logKey
  * @param {object} sthClient - { treeSize: number, rootHash: Uint8Array }
  * @param {string} backendUrl - Backend API base URL
  * @param {object} reader - CT log reader instance
+ * @param {number} [timeoutMs] - Timeout for the monitor request
  * @returns {Promise<object>} Consistency result with status, detail, sthClient, sthMonitor
  */
-async function verifySTHConsistency(sct, sthClient, backendUrl, reader) {
+async function verifySTHConsistency(sct, sthClient, backendUrl, reader, timeoutMs) {
   console.log(`[CT Verify] STH consistency check for log: ${sct.logDescription || sct.logId}`);
 
   //Fetch monitor STH from backend
@@ -374,7 +878,7 @@ async function verifySTHConsistency(sct, sthClient, backendUrl, reader) {
   let sthMonitor;
   try {
     console.log(`[CT Verify] Fetching monitor STH from: ${sthMonitorUrl}`);
-    const response = await fetch(sthMonitorUrl);
+    const response = await fetchWithTimeout(sthMonitorUrl, timeoutMs);
 
     //Backend has no STH for this log
     if (response.status === 404) {
@@ -398,9 +902,21 @@ async function verifySTHConsistency(sct, sthClient, backendUrl, reader) {
     }
 
     const data = await response.json();
+    if (data.timestamp === undefined || !data.tree_head_signature) {
+      console.log('[CT Verify] Monitor STH is not signed - fail-closed');
+      return {
+        status: 'error',
+        detail: 'Monitor returned an STH without the log signature (fail-closed)',
+        sthClient: { treeSize: sthClient.treeSize },
+        sthMonitor: null
+      };
+    }
+
     sthMonitor = {
       treeSize: data.tree_size,
-      rootHash: new Uint8Array(Convert.FromBase64(data.root_hash))
+      rootHash: new Uint8Array(Convert.FromBase64(data.root_hash)),
+      timestamp: data.timestamp,
+      signature: new Uint8Array(Convert.FromBase64(data.tree_head_signature))
     };
     console.log(`[CT Verify] Monitor STH: tree_size=${sthMonitor.treeSize}`);
   } catch (error) {
@@ -413,6 +929,28 @@ async function verifySTHConsistency(sct, sthClient, backendUrl, reader) {
     };
   }
 
+  //Check the log's signature on STH_monitor
+  const monitorSignature = await verifySTHSignature(sct.logKey, sthMonitor);
+  if (monitorSignature === false) {
+    console.log('[CT Verify] Monitor STH signature INVALID - fail-closed');
+    return {
+      status: 'error',
+      detail: `Monitor STH (tree_size=${sthMonitor.treeSize}) is not signed by the log (fail-closed)`,
+      sthClient: { treeSize: sthClient.treeSize },
+      sthMonitor: { treeSize: sthMonitor.treeSize, signature: 'invalid' }
+    };
+  }
+  if (monitorSignature === null) {
+    // Without the log's signature the monitor's tree head could be made up
+    console.log('[CT Verify] Monitor STH signature could not be checked (no usable log key) - fail-closed');
+    return {
+      status: 'error',
+      detail: `Monitor STH (tree_size=${sthMonitor.treeSize}) signature could not be checked: no usable log key (fail-closed)`,
+      sthClient: { treeSize: sthClient.treeSize },
+      sthMonitor: { treeSize: sthMonitor.treeSize, signature: 'unchecked' }
+    };
+  }
+
   //Compare STH_client vs STH_monitor
   const clientSize = sthClient.treeSize;
   const monitorSize = sthMonitor.treeSize;
@@ -428,7 +966,7 @@ async function verifySTHConsistency(sct, sthClient, backendUrl, reader) {
         status: 'consistent',
         detail: `Same tree size (${clientSize}), root hashes match`,
         sthClient: { treeSize: clientSize },
-        sthMonitor: { treeSize: monitorSize }
+        sthMonitor: { treeSize: monitorSize, signature: 'valid' }
       };
     } else {
       console.log('[CT Verify] Same tree_size, hashes MISMATCH');
@@ -436,7 +974,7 @@ async function verifySTHConsistency(sct, sthClient, backendUrl, reader) {
         status: 'inconsistent',
         detail: `Same tree size (${clientSize}) but root hashes differ`,
         sthClient: { treeSize: clientSize },
-        sthMonitor: { treeSize: monitorSize }
+        sthMonitor: { treeSize: monitorSize, signature: 'valid' }
       };
     }
   }
@@ -448,7 +986,7 @@ async function verifySTHConsistency(sct, sthClient, backendUrl, reader) {
       status: 'inconsistent',
       detail: `Readonly log tree size mismatch (client: ${clientSize}, monitor: ${monitorSize}). A frozen tree must not differ between observers.`,
       sthClient: { treeSize: clientSize },
-      sthMonitor: { treeSize: monitorSize }
+      sthMonitor: { treeSize: monitorSize, signature: 'valid' }
     };
   }
 
@@ -469,7 +1007,7 @@ async function verifySTHConsistency(sct, sthClient, backendUrl, reader) {
         status: 'error',
         detail: `Failed to fetch consistency proof from log (${errDetail})`,
         sthClient: { treeSize: clientSize },
-        sthMonitor: { treeSize: monitorSize }
+        sthMonitor: { treeSize: monitorSize, signature: 'valid' }
       };
     }
 
@@ -488,7 +1026,7 @@ async function verifySTHConsistency(sct, sthClient, backendUrl, reader) {
         status: 'consistent',
         detail: `Tree sizes differ (${first} - ${second}), consistency proof valid`,
         sthClient: { treeSize: clientSize },
-        sthMonitor: { treeSize: monitorSize }
+        sthMonitor: { treeSize: monitorSize, signature: 'valid' }
       };
     } else {
       console.log('[CT Verify] Consistency proof INVALID!');
@@ -496,7 +1034,7 @@ async function verifySTHConsistency(sct, sthClient, backendUrl, reader) {
         status: 'inconsistent',
         detail: `Consistency proof invalid between sizes ${first} and ${second}`,
         sthClient: { treeSize: clientSize },
-        sthMonitor: { treeSize: monitorSize }
+        sthMonitor: { treeSize: monitorSize, signature: 'valid' }
       };
     }
   } catch (error) {
@@ -505,7 +1043,7 @@ async function verifySTHConsistency(sct, sthClient, backendUrl, reader) {
       status: 'error',
       detail: `Failed to verify consistency: ${error.message}`,
       sthClient: { treeSize: clientSize },
-      sthMonitor: { treeSize: monitorSize }
+      sthMonitor: { treeSize: monitorSize, signature: 'valid' }
     };
   }
 }
@@ -534,16 +1072,26 @@ function encodeBigEndian(value, numBytes) {
   // Return only the last numBytes (big-endian = leading bytes are zeros for small values)
   return new Uint8Array(buffer.slice(8 - numBytes));
 }
-export default { verifyCertificateSCTs };
+export default { verifyCertificateSCTs, recheckSCT, evaluateVerificationPolicy, computeVerdict };
 
 // Exported for testing
 export {
   verifyAuditProof,
   verifyConsistencyProof,
   verifySTHConsistency,
+  checkMonitorQuorum,
+  checkSTHLedger,
   verifySCT,
+  recheckSCT,
+  isSTHFresh,
+  getMergeDeadline,
+  verifySCTSignature,
+  checkSCTTimestamp,
+  buildSCTSignedData,
   buildMerkleTreeLeaf,
+  buildTimestampedEntry,
   extractPrecertTBS,
+  resolveIssuer,
   hashNode,
   isPowerOf2,
   encodeBigEndian,
@@ -0,0 +1,115 @@
+/**
+ * Issuer Pins Module
+ *
+ * User-defined rules naming the CAs allowed to issue certificates for a
+ * domain (in the spirit of CAA records, but checked by the client). Unlike
+ * the certificate history, these are explicit and not learned.
+ *
+ * A pin applies to a hostname or *.domain (see site-rules.js) and allows any of:
+ *   issuer - distinguished name of the leaf certificate's issuer
+ *   spki   - base64 SHA-256 of the SubjectPublicKeyInfo of an intermediate or
+ *            root certificate in the served chain
+ *   root   - distinguished name of the chain's root certificate
+ */
+
+import { normalizeHostPattern } from './site-rules.js';
+
+const ISSUER_PIN_TYPES = ['issuer', 'spki', 'root'];
+
+/**
+ * Validates a pin.
+ * @param {object} pin - { pattern, allowed: [{ type, value }] }
+ * @returns {object|null} The normalized pin, or null if it is unusable
+ */
+function normalizeIssuerPin(pin) {
+  if (!pin || typeof pin !== 'object' || !Array.isArray(pin.allowed)) return null;
+  const pattern = normalizeHostPattern(pin.pattern);
+  if (!pattern) return null;
+
+  const allowed = pin.allowed
+    .filter(entry => ISSUER_PIN_TYPES.includes(entry?.type) && typeof entry.value === 'string' && entry.value.trim())
+    .map(entry => ({ type: entry.type, value: entry.type === 'spki' ? entry.value.trim() : normalizeDN(entry.value) }));
+  return allowed.length > 0 ? { pattern, allowed } : null;
+}
+
+/**
+ * Checks a certificate chain against a pin.
+ * @param {object[]} certificates - Chain from webRequest.getSecurityInfo(), leaf first
+ * @param {object} pin - Normalized pin
+ * @returns {{matched: boolean, pattern: string, detail: string}}
+ */
+function checkIssuerPin(certificates, pin) {
+  const leaf = certificates[0];
+  const cas = certificates.slice(1);
+  const root = certificates[certificates.length - 1];
+
+  const match = pin.allowed.find(({ type, value }) => {
+    switch (type) {
+      case 'issuer':
+        return isSameDN(leaf.issuer, value);
+      case 'spki':
+        return cas.some(cert => cert.subjectPublicKeyInfoDigest?.sha256 === value);
+      case 'root':
+        return cas.length > 0 && isSameDN(root.subject, value);
+      default:
+        return false;
+    }
+  });
+
+  if (match) {
+    return { matched: true, pattern: pin.pattern, detail: `Issuer allowed by the rule for ${pin.pattern} (${match.type})` };
+  }
+  return {
+    matched: false,
+    pattern: pin.pattern,
+    detail: `Issued by ${leaf.issuer}${cas.length > 0 ? ` under root ${root.subject}` : ''}, which the rule for ${pin.pattern} does not allow`
+  };
+}
+
+/**
+ * Normalizes a distinguished name: upper case attribute names and no spaces
+ * around the separators ("cn = R11, o=Let's Encrypt" -> "CN=R11,O=Let's Encrypt")
+ */
+function normalizeDN(dn) {
+  return splitDN(dn || '').map(attribute => {
+    const separator = attribute.indexOf('=');
+    if (separator === -1) return attribute.trim();
+    return `${attribute.substring(0, separator).trim().toUpperCase()}=${attribute.substring(separator + 1).trim()}`;
+  }).join(',');
+}
+
+/**
+ * Compares two distinguished names. Attribute values are compared ignoring
+ * case, as X.509 name matching does for directory strings.
+ */
+function isSameDN(a, b) {
+  return normalizeDN(a).toLowerCase() === normalizeDN(b).toLowerCase();
+}
+
+/**
+ * Splits a DN into its attributes at the commas, keeping escaped ("\,") and
+ * quoted commas inside their values
+ */
+function splitDN(dn) {
+  const parts = [];
+  let current = '';
+  let quoted = false;
+  for (let i = 0; i < dn.length; i++) {
+    const char = dn[i];
+    if (char === '\\' && i + 1 < dn.length) {
+      current += char + dn[++i];
+    } else if (char === '"') {
+      quoted = !quoted;
+      current += char;
+    } else if (char === ',' && !quoted) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  return parts;
+}
+
+export { ISSUER_PIN_TYPES, normalizeIssuerPin, checkIssuerPin };
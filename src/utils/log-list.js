@@ -0,0 +1,164 @@
+/**
+ * CT Log List Module
+ *
+ * Fetches the CT log list, verifies its detached signature (log_list.sig,
+ * RSA PKCS#1 v1.5 with SHA-256 over the raw JSON bytes) and persists the last
+ * good copy in extension storage so it survives restarts and network failures.
+ */
+
+import { verifyDigitallySigned } from './ct-signature.js';
+import { GOOGLE_LOG_LIST_URL } from './settings.js';
+
+const STORAGE_KEY = 'logList';
+
+/**
+ * Bundled PEM signing keys, by log list URL. A list from one of these URLs is
+ * only accepted if its signature verifies; lists from other URLs (the demo
+ * list, a self-hosted list) are accepted with their signature marked 'unchecked'.
+ *
+ * The key is committed by hand after an independent check; `npm run
+ * update-log-list` only refreshes the bundled list, verified against it.
+ */
+const LOG_LIST_SIGNING_KEY_PATHS = {
+  [GOOGLE_LOG_LIST_URL]: 'data/log_list_pubkey.pem'
+};
+
+/**
+ * Snapshot of the log list shipped with the extension, used when neither the
+ * network nor storage has one
+ */
+const BUNDLED_LOG_LIST_PATH = 'data/log_list.json';
+
+/**
+ * Fetches a log list and its signature.
+ * @param {string} url - Log list URL (the signature is expected next to it, with .sig)
+ * @param {number} [timeoutMs] - Timeout for each request
+ * @returns {Promise<{data: object, signature: string}|{error: string, detail: string}>}
+ *   signature is 'valid' or 'unchecked' (no key for this URL)
+ */
+async function fetchLogList(url, timeoutMs) {
+  const signal = timeoutMs ? AbortSignal.timeout(timeoutMs) : undefined;
+
+  let bytes;
+  try {
+    const response = await fetch(url, { signal });
+    if (!response.ok) {
+      return { error: 'http_error', detail: `HTTP ${response.status}` };
+    }
+    bytes = new Uint8Array(await response.arrayBuffer());
+  } catch (error) {
+    return { error: 'unreachable', detail: error.message };
+  }
+
+  const keyPath = LOG_LIST_SIGNING_KEY_PATHS[url];
+  let signature = 'unchecked';
+  if (keyPath) {
+    const key = await loadBundledKey(keyPath);
+    if (!key) {
+      return { error: 'bad_signature', detail: `No signing key bundled for this log list (${keyPath})` };
+    }
+
+    let sig;
+    try {
+      const response = await fetch(getSignatureUrl(url), { signal });
+      if (!response.ok) {
+        return { error: 'bad_signature', detail: `Log list signature not available (HTTP ${response.status})` };
+      }
+      sig = new Uint8Array(await response.arrayBuffer());
+    } catch (error) {
+      return { error: 'unreachable', detail: `Log list signature: ${error.message}` };
+    }
+
+    if (await verifyDigitallySigned(key, 'rsa', 'sha256', sig, bytes) !== true) {
+      return { error: 'bad_signature', detail: 'Log list signature does not verify against the bundled key' };
+    }
+    signature = 'valid';
+  }
+
+  try {
+    return { data: JSON.parse(new TextDecoder().decode(bytes)), signature };
+  } catch (error) {
+    return { error: 'malformed', detail: `Log list is not valid JSON: ${error.message}` };
+  }
+}
+
+/**
+ * Loads a PEM public key shipped with the extension.
+ * @returns {Promise<string|null>} Base64 DER SubjectPublicKeyInfo
+ */
+async function loadBundledKey(path) {
+  try {
+    const response = await fetch(browser.runtime.getURL(path));
+    if (!response.ok) return null;
+    const pem = await response.text();
+    return pem.replace(/-----(BEGIN|END) PUBLIC KEY-----/g, '').replace(/\s+/g, '') || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * URL of a log list's detached signature: log_list.json -> log_list.sig
+ */
+function getSignatureUrl(url) {
+  return url.replace(/\.json$/, '') + '.sig';
+}
+
+/**
+ * Loads the last good log list from storage.
+ * @returns {Promise<{url: string, data: object, version: string, timestamp: string, signature: string, fetchedAt: number}|null>}
+ */
+async function loadStoredLogList() {
+  const stored = await browser.storage.local.get(STORAGE_KEY);
+  return stored[STORAGE_KEY] || null;
+}
+
+/**
+ * Persists a log list as the last good copy.
+ * @param {string} url - URL it was fetched from
+ * @param {object} data - Parsed log list
+ * @param {string} signature - 'valid' or 'unchecked'
+ * @returns {Promise<object>} The stored entry
+ */
+async function storeLogList(url, data, signature) {
+  const entry = {
+    url,
+    data,
+    version: data.version ?? null,
+    timestamp: data.log_list_timestamp ?? null,
+    signature,
+    fetchedAt: Date.now()
+  };
+  await browser.storage.local.set({ [STORAGE_KEY]: entry });
+  return entry;
+}
+
+/**
+ * Loads the log list snapshot shipped with the extension, if there is one.
+ * @returns {Promise<object|null>} Parsed log list
+ */
+async function loadBundledLogList() {
+  try {
+    const response = await fetch(browser.runtime.getURL(BUNDLED_LOG_LIST_PATH));
+    return response.ok ? await response.json() : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Whether a fetched list is older than the stored one from the same URL.
+ * An older list is refused so a network attacker cannot roll it back.
+ */
+function isOlderThanStored(data, stored, url) {
+  if (!stored || stored.url !== url || !stored.timestamp || !data.log_list_timestamp) return false;
+  return Date.parse(data.log_list_timestamp) < Date.parse(stored.timestamp);
+}
+
+export {
+  fetchLogList,
+  loadStoredLogList,
+  storeLogList,
+  loadBundledLogList,
+  isOlderThanStored
+};
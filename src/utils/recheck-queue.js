@@ -0,0 +1,188 @@
+/**
+ * Re-check Queue Module
+ *
+ * Persists SCTs whose verification could not be completed (log unreachable or
+ * erroring, or entry not yet merged within the MMD) in extension storage, so
+ * they can be retried after the page load and across background restarts.
+ * Entries are keyed by log ID and Merkle leaf hash; the leaf hash is enough
+ * to ask the log for an inclusion proof without the original certificate.
+ */
+
+const STORAGE_KEY = 'recheckQueue';
+
+/**
+ * PoI reasons worth retrying later. Everything else is a final result.
+ */
+const RETRYABLE_REASONS = ['pending_merge', 'log_unreachable', 'log_error'];
+
+/**
+ * Retry backoff: 5 min doubling up to 6 h, given up after MAX_ATTEMPTS
+ */
+const RETRY_BASE_MS = 5 * 60 * 1000;
+const RETRY_MAX_MS = 6 * 60 * 60 * 1000;
+const MAX_ATTEMPTS = 10;
+
+/**
+ * Delay after an SCT's merge deadline before re-checking, so the log has
+ * published an STH that covers the deadline
+ */
+const MERGE_MARGIN_MS = 60 * 1000;
+
+/**
+ * Serializes read-modify-write access to the stored queue. fn returns
+ * { result, changed }; the queue is only written back when it changed.
+ */
+let queueLock = Promise.resolve();
+
+function withQueue(fn) {
+  const run = queueLock.then(async () => {
+    const stored = await browser.storage.local.get(STORAGE_KEY);
+    const queue = stored[STORAGE_KEY] || {};
+    const { result, changed } = await fn(queue);
+    if (changed) {
+      await browser.storage.local.set({ [STORAGE_KEY]: queue });
+    }
+    return result;
+  });
+  queueLock = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Whether a PoI result should be queued for a later re-check.
+ * Retired logs are not retried: they are not expected to come back.
+ * @param {object} sct - SCT object with injected log info
+ * @param {object} poi - PoI result with leafHash
+ * @returns {boolean}
+ */
+function isRetryable(sct, poi) {
+  if (!poi.leafHash || !RETRYABLE_REASONS.includes(poi.reason)) return false;
+  // Static-ct logs can only be queried by leaf index
+  if (sct.logType === 'static-ct' && sct.leafIndex == null) return false;
+  return poi.reason === 'pending_merge' || !sct.logState?.retired;
+}
+
+/**
+ * Time of the next attempt for an entry.
+ * Pending merges are retried once the merge deadline has passed, failures
+ * to reach the log back off exponentially.
+ */
+function getNextAttempt(poi, attempts, now) {
+  if (poi.reason === 'pending_merge' && poi.recheckAt) {
+    return Math.max(poi.recheckAt + MERGE_MARGIN_MS, now + RETRY_BASE_MS);
+  }
+  return now + Math.min(RETRY_BASE_MS * 2 ** attempts, RETRY_MAX_MS);
+}
+
+function getEntryKey(sct, leafHash) {
+  return `${sct.logId}:${leafHash}`;
+}
+
+/**
+ * Adds or refreshes a queue entry for an SCT found on a host.
+ * @param {string} hostname
+ * @param {string} url - Page URL the certificate was served for
+ * @param {object} sct - SCT object with injected log info
+ * @param {object} poi - PoI result (with leafHash, reason, sctSignature)
+ * @param {number} [now] - Current time in ms
+ * @returns {Promise<object>} The stored entry
+ */
+function enqueueRecheck(hostname, url, sct, poi, now = Date.now()) {
+  return withQueue(queue => {
+    const key = getEntryKey(sct, poi.leafHash);
+    const existing = queue[key];
+    const attempts = existing ? existing.attempts : 0;
+
+    queue[key] = {
+      key,
+      hostname,
+      url,
+      sct,
+      leafHash: poi.leafHash,
+      sctSignature: poi.sctSignature,
+      reason: poi.reason,
+      attempts,
+      queuedAt: existing ? existing.queuedAt : now,
+      nextAttempt: existing ? existing.nextAttempt : getNextAttempt(poi, attempts, now)
+    };
+    return { result: queue[key], changed: true };
+  });
+}
+
+/**
+ * Records the outcome of a re-check attempt.
+ * Retryable outcomes are re-scheduled until MAX_ATTEMPTS is reached; final
+ * outcomes and exhausted entries are removed.
+ * @param {string} key - Entry key
+ * @param {object} poi - PoI result of the attempt
+ * @param {number} [now] - Current time in ms
+ * @returns {Promise<{entry: object|null, final: boolean, exhausted: boolean}>}
+ */
+function recordRecheckAttempt(key, poi, now = Date.now()) {
+  return withQueue(queue => {
+    const entry = queue[key];
+    if (!entry) return { result: { entry: null, final: true, exhausted: false }, changed: false };
+
+    const attempts = entry.attempts + 1;
+    if (isRetryable(entry.sct, poi) && attempts < MAX_ATTEMPTS) {
+      queue[key] = { ...entry, attempts, reason: poi.reason, nextAttempt: getNextAttempt(poi, attempts, now) };
+      return { result: { entry: queue[key], final: false, exhausted: false }, changed: true };
+    }
+
+    delete queue[key];
+    return {
+      result: { entry: { ...entry, attempts }, final: true, exhausted: isRetryable(entry.sct, poi) },
+      changed: true
+    };
+  });
+}
+
+/**
+ * Removes the entries of SCTs that a fresh verification settled.
+ * @param {Array<{sct: object, leafHash: string}>} settled
+ */
+function dequeueRechecks(settled) {
+  return withQueue(queue => {
+    let changed = false;
+    for (const { sct, leafHash } of settled) {
+      const key = getEntryKey(sct, leafHash);
+      if (queue[key]) {
+        delete queue[key];
+        changed = true;
+      }
+    }
+    return { result: undefined, changed };
+  });
+}
+
+/**
+ * Returns entries whose next attempt is due.
+ * @param {number} [now] - Current time in ms
+ * @returns {Promise<Array<object>>}
+ */
+function getDueRechecks(now = Date.now()) {
+  return withQueue(queue => ({
+    result: Object.values(queue).filter(entry => entry.nextAttempt <= now),
+    changed: false
+  }));
+}
+
+/**
+ * Returns the time of the earliest scheduled attempt, or null if the queue is empty.
+ * @returns {Promise<number|null>}
+ */
+function getNextRecheckTime() {
+  return withQueue(queue => {
+    const times = Object.values(queue).map(entry => entry.nextAttempt);
+    return { result: times.length > 0 ? Math.min(...times) : null, changed: false };
+  });
+}
+
+export {
+  isRetryable,
+  enqueueRecheck,
+  recordRecheckAttempt,
+  dequeueRechecks,
+  getDueRechecks,
+  getNextRecheckTime
+};
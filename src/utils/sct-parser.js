@@ -1,7 +1,8 @@
 /**
  * SCT Parser Module
  *
- * Parses Signed Certificate Timestamps (SCTs) from DER-encoded certificates.
+ * Parses Signed Certificate Timestamps (SCTs) from DER-encoded certificates,
+ * TLS signed_certificate_timestamp extension data and stapled OCSP responses.
  */
 
 import * as pkijs from 'pkijs';
@@ -35,39 +36,191 @@ function parseSCTFromCertificate(certDER) {
       return [];
     }
 
-    // Parse the OCTET STRING wrapper defined by RFC 6962
-    const extAsn1 = asn1js.fromBER(sctExt.extnValue.valueBlock?.valueHexView);
-    if (extAsn1.offset === -1) {
-      console.error("[SCT Parser] Failed to parse extension value");
+    const scts = parseSCTListExtension(sctExt.extnValue, 'embedded');
+
+    console.log("[SCT Parser] Parsed", scts.length, "SCTs");
+    return scts;
+
+  } catch (error) {
+    console.error("[SCT Parser] Error parsing certificate:", error);
+    return [];
+  }
+}
+
+/**
+ * Parses a TLS-encoded SignedCertificateTimestampList, as delivered in the
+ * TLS signed_certificate_timestamp extension (RFC 6962 Section 3.3.1).
+ * These SCTs cover the final certificate (x509_entry).
+ * Not called by the extension: getSecurityInfo does not expose the extension data.
+ *
+ * @param {Array<number>|Uint8Array} listBytes - Raw TLS-encoded SCT list
+ * @returns {Array} Array of parsed SCTs (empty if none found)
+ */
+function parseSCTListFromTLS(listBytes) {
+  console.log("[SCT Parser] Parsing SCTs from TLS extension data");
+
+  try {
+    // PKI.js reads the TLS list out of an OCTET STRING, so wrap the raw bytes
+    const wrapper = new asn1js.OctetString({ valueHex: new Uint8Array(listBytes).buffer });
+    const sctList = new pkijs.SignedCertificateTimestampList({ schema: wrapper });
+    const scts = sctList.timestamps.map(sct => transformSCT(sct, 'tls-extension'));
+
+    console.log("[SCT Parser] Parsed", scts.length, "SCTs");
+    return scts;
+
+  } catch (error) {
+    console.error("[SCT Parser] Error parsing TLS SCT list:", error);
+    return [];
+  }
+}
+
+/**
+ * Parses SCTs from a stapled OCSP response (RFC 6962 Section 3.3, OID 1.3.6.1.4.1.11129.2.4.5).
+ * These SCTs cover the final certificate (x509_entry).
+ * Not called by the extension: getSecurityInfo does not expose the stapled response.
+ *
+ * @param {Array<number>|Uint8Array} ocspDER - DER-encoded OCSPResponse
+ * @param {string} [leafSerial] - Hex serial of the leaf certificate (colons allowed).
+ *   If given, only SingleResponses for that certificate are considered.
+ * @returns {Array} Array of parsed SCTs (empty if none found)
+ */
+function parseSCTsFromOCSPResponse(ocspDER, leafSerial) {
+  console.log("[SCT Parser] Parsing SCTs from OCSP response");
+
+  try {
+    const asn1 = asn1js.fromBER(new Uint8Array(ocspDER).buffer);
+    const ocspResponse = new pkijs.OCSPResponse({ schema: asn1.result });
+
+    if (!ocspResponse.responseBytes) {
+      console.log("[SCT Parser] OCSP response has no response bytes");
       return [];
     }
 
-    // Finally parse the TLS-encoded SCT list
-    const sctList = new pkijs.SignedCertificateTimestampList({ schema: extAsn1.result });
-
-    // Transform to expected format
-    const scts = sctList.timestamps.map(sct => {
-      return {
-        version: sct.version,
-        logId: Convert.ToHex(sct.logID),
-        timestamp: Number(sct.timestamp),
-        timestampDate: new Date(Number(sct.timestamp)).toISOString(),
-        extensions: Array.from(sct.extensions || []),
-        extensionsHex: Convert.ToHex(sct.extensions),
-        signatureHashAlgorithm: sct.hashAlgorithm,
-        signatureAlgorithm: sct.signatureAlgorithm,
-        signature: Convert.ToHex(sct.signature),
-        origin: 'embedded'
-      };
-    });
+    const basicAsn1 = asn1js.fromBER(ocspResponse.responseBytes.response.valueBlock.valueHexView);
+    const basicResponse = new pkijs.BasicOCSPResponse({ schema: basicAsn1.result });
+
+    const wantedSerial = leafSerial ? normalizeSerial(leafSerial) : null;
+    const scts = [];
+    for (const single of basicResponse.tbsResponseData.responses) {
+      const serial = normalizeSerial(Convert.ToHex(single.certID.serialNumber.valueBlock.valueHexView));
+      if (wantedSerial && serial !== wantedSerial) continue;
+
+      const sctExt = single.singleExtensions?.find(ext => ext.extnID === '1.3.6.1.4.1.11129.2.4.5');
+      if (sctExt) {
+        scts.push(...parseSCTListExtension(sctExt.extnValue, 'ocsp'));
+      }
+    }
 
     console.log("[SCT Parser] Parsed", scts.length, "SCTs");
     return scts;
 
   } catch (error) {
-    console.error("[SCT Parser] Error parsing certificate:", error);
+    console.error("[SCT Parser] Error parsing OCSP response:", error);
     return [];
   }
 }
 
-export default { parseSCTFromCertificate };
+/**
+ * Parses the value of an SCT list X.509 extension: an OCTET STRING wrapping
+ * the TLS-encoded SCT list (RFC 6962 Section 3.3)
+ * @param {asn1js.OctetString} extnValue - Extension value
+ * @param {string} origin - 'embedded' or 'ocsp'
+ * @returns {Array} Array of parsed SCTs
+ */
+function parseSCTListExtension(extnValue, origin) {
+  // Parse the OCTET STRING wrapper defined by RFC 6962
+  const extAsn1 = asn1js.fromBER(extnValue.valueBlock?.valueHexView);
+  if (extAsn1.offset === -1) {
+    console.error("[SCT Parser] Failed to parse extension value");
+    return [];
+  }
+
+  // Finally parse the TLS-encoded SCT list
+  const sctList = new pkijs.SignedCertificateTimestampList({ schema: extAsn1.result });
+
+  return sctList.timestamps.map(sct => transformSCT(sct, origin));
+}
+
+/**
+ * Transforms a PKI.js SCT into the format used across the extension
+ * @param {pkijs.SignedCertificateTimestamp} sct
+ * @param {string} origin - Where the SCT was delivered: 'embedded', 'tls-extension' or 'ocsp'
+ */
+function transformSCT(sct, origin) {
+  const extensions = new Uint8Array(sct.extensions);
+  const decoded = decodeCtExtensions(extensions);
+  return {
+    version: sct.version,
+    logId: Convert.ToHex(sct.logID),
+    timestamp: Number(sct.timestamp),
+    timestampDate: new Date(Number(sct.timestamp)).toISOString(),
+    extensions: Array.from(extensions),
+    extensionsHex: Convert.ToHex(extensions),
+    decodedExtensions: decoded?.extensions || null,
+    leafIndex: decoded?.leafIndex ?? null,
+    signatureHashAlgorithm: sct.hashAlgorithm,
+    signatureAlgorithm: sct.signatureAlgorithm,
+    signature: Convert.ToHex(sct.signature),
+    origin
+  };
+}
+
+function normalizeSerial(serial) {
+  return serial.replace(/:/g, '').toLowerCase().replace(/^0+/, '');
+}
+
+/**
+ * Known CtExtensions extension types (c2sp.org/static-ct-api)
+ */
+const CT_EXTENSION_TYPES = {
+  0: 'leaf_index'
+};
+
+/**
+ * Decodes the CtExtensions field of an SCT.
+ *
+ * RFC 6962 leaves CtExtensions opaque. Static-ct logs encode a list of
+ * typed extensions inside it:
+ *   struct { uint8 extension_type; opaque extension_data<0..2^16-1>; } Extension;
+ * The leaf_index extension (type 0) carries the entry's uint40 index in the log.
+ *
+ * @param {Uint8Array} bytes - Raw CtExtensions contents (without the length prefix)
+ * @returns {{extensions: Array, leafIndex: number|null}|null} Decoded extensions,
+ *   or null if the bytes are not a well-formed extension list
+ */
+function decodeCtExtensions(bytes) {
+  const extensions = [];
+  let leafIndex = null;
+
+  let pos = 0;
+  while (pos < bytes.length) {
+    if (pos + 3 > bytes.length) return null;
+    const type = bytes[pos];
+    const length = (bytes[pos + 1] << 8) | bytes[pos + 2];
+    pos += 3;
+    if (pos + length > bytes.length) return null;
+
+    const data = bytes.subarray(pos, pos + length);
+    pos += length;
+
+    if (type === 0) {
+      // Duplicate or wrong-sized leaf_index makes the whole list invalid
+      if (leafIndex !== null || length !== 5) return null;
+      leafIndex = 0;
+      for (const byte of data) leafIndex = leafIndex * 256 + byte;
+    }
+
+    extensions.push({
+      type,
+      name: CT_EXTENSION_TYPES[type] || `unknown(${type})`,
+      dataHex: Convert.ToHex(data)
+    });
+  }
+
+  return { extensions, leafIndex };
+}
+
+export default { parseSCTFromCertificate, parseSCTListFromTLS, parseSCTsFromOCSPResponse };
+
+// Exported for testing
+export { decodeCtExtensions };
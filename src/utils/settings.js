@@ -0,0 +1,224 @@
+/**
+ * Settings Module
+ *
+ * User settings kept in browser.storage.local and edited on the options page.
+ * Missing or invalid values fall back to the defaults, so older stored
+ * settings keep working when new fields are added.
+ *
+ * Administrators can set any of the same fields through enterprise policy
+ * (browser.storage.managed). Managed values override the user's and are
+ * shown as locked on the options page.
+ */
+
+import { Convert } from 'pvtsutils';
+import { normalizeSiteRule } from './site-rules.js';
+import { normalizeIssuerPin } from './issuer-pins.js';
+
+const STORAGE_KEY = 'settings';
+
+/**
+ * Demo: merged list (Google's logs + attack simulation logs) served by the CT log server.
+ * Production: GOOGLE_LOG_LIST_URL
+ */
+const DEMO_LOG_LIST_URL = 'https://logs.jvgc-a.com/log-list.json';
+const GOOGLE_LOG_LIST_URL = 'https://www.gstatic.com/ct/log_list/v3/log_list.json';
+
+const DEFAULT_SETTINGS = {
+  logListUrl: DEMO_LOG_LIST_URL,
+  monitors: ['https://api.jvgc-a.com'],
+  monitorQuorum: 1,
+  verificationPolicy: 'default',
+  showToasts: true,
+  showRecheckNotifications: true,
+  showCertificateChangeAlerts: true,
+  requestTimeoutMs: 15000,
+  customLogs: [],
+  enforcementMode: 'off',
+  siteRules: [],
+  issuerPins: []
+};
+
+const POLICY_IDS = ['lenient', 'default', 'strict'];
+
+const LOG_TYPES = ['rfc6962', 'static-ct'];
+
+/**
+ * Enforcement for sites without a site rule: off (warn only) or every site
+ */
+const ENFORCEMENT_MODES = ['off', 'all'];
+
+/**
+ * MMD assumed for custom logs that do not state one (the usual 24 hours)
+ */
+const DEFAULT_CUSTOM_LOG_MMD = 86400;
+
+/**
+ * Loads the effective settings: the stored user settings, merged over the
+ * defaults, with the managed values on top.
+ * @returns {Promise<{settings: object, userSettings: object, locked: string[]}>}
+ *   locked lists the fields set by the administrator
+ */
+async function loadSettings() {
+  const stored = await browser.storage.local.get(STORAGE_KEY);
+  const userSettings = await dropMismatchedCustomLogs(normalizeSettings(stored[STORAGE_KEY]));
+  const managed = await loadManagedSettings();
+
+  return {
+    settings: { ...userSettings, ...managed },
+    userSettings,
+    locked: Object.keys(managed)
+  };
+}
+
+/**
+ * Reads the settings set by enterprise policy.
+ * @returns {Promise<object>} Normalized managed values of known settings
+ *   fields; empty if there is no policy for the extension
+ */
+async function loadManagedSettings() {
+  let managed;
+  try {
+    managed = await browser.storage.managed.get();
+  } catch {
+    // Thrown when no policy or managed storage manifest exists for the extension
+    return {};
+  }
+
+  // Normalized over an empty base, so only valid known fields remain
+  const result = await dropMismatchedCustomLogs(normalizeSettings(managed, {}));
+  for (const key of Object.keys(managed)) {
+    if (!(key in result)) console.warn(`[CT Guard] Ignoring invalid or unknown managed setting: ${key}`);
+  }
+  return result;
+}
+
+/**
+ * Stores settings after normalizing them.
+ * @param {object} settings
+ * @returns {Promise<object>} The stored settings
+ */
+async function saveSettings(settings) {
+  const normalized = normalizeSettings(settings);
+  await browser.storage.local.set({ [STORAGE_KEY]: normalized });
+  return normalized;
+}
+
+/**
+ * Merges settings over a base (the defaults unless given) and drops invalid values.
+ * @param {object} [settings]
+ * @param {object} [base]
+ * @returns {object}
+ */
+function normalizeSettings(settings = {}, base = DEFAULT_SETTINGS) {
+  const result = { ...base };
+
+  if (isHttpsUrl(settings.logListUrl)) {
+    result.logListUrl = settings.logListUrl;
+  }
+  if (Array.isArray(settings.monitors)) {
+    result.monitors = settings.monitors.filter(isHttpsUrl).map(url => url.replace(/\/+$/, ''));
+  }
+  if (Number.isInteger(settings.monitorQuorum) && settings.monitorQuorum >= 1) {
+    result.monitorQuorum = settings.monitorQuorum;
+  }
+  if (POLICY_IDS.includes(settings.verificationPolicy)) {
+    result.verificationPolicy = settings.verificationPolicy;
+  }
+  if (typeof settings.showToasts === 'boolean') {
+    result.showToasts = settings.showToasts;
+  }
+  if (typeof settings.showRecheckNotifications === 'boolean') {
+    result.showRecheckNotifications = settings.showRecheckNotifications;
+  }
+  if (typeof settings.showCertificateChangeAlerts === 'boolean') {
+    result.showCertificateChangeAlerts = settings.showCertificateChangeAlerts;
+  }
+  if (Number.isInteger(settings.requestTimeoutMs) && settings.requestTimeoutMs >= 1000) {
+    result.requestTimeoutMs = settings.requestTimeoutMs;
+  }
+  if (Array.isArray(settings.customLogs)) {
+    result.customLogs = settings.customLogs.map(normalizeCustomLog).filter(Boolean);
+  }
+  if (ENFORCEMENT_MODES.includes(settings.enforcementMode)) {
+    result.enforcementMode = settings.enforcementMode;
+  }
+  if (Array.isArray(settings.siteRules)) {
+    result.siteRules = settings.siteRules.map(normalizeSiteRule).filter(Boolean);
+  }
+  if (Array.isArray(settings.issuerPins)) {
+    result.issuerPins = settings.issuerPins.map(normalizeIssuerPin).filter(Boolean);
+  }
+  return result;
+}
+
+/**
+ * Validates a custom log entry.
+ * @param {object} log - { description, logId, key, url, type, mmd, monitoringUrl }
+ *   logId is the base64 SHA-256 of key (base64 DER SubjectPublicKeyInfo), as in
+ *   the CT log list (checked by dropMismatchedCustomLogs, as hashing is async);
+ *   monitoringUrl is only used by static-ct logs
+ * @returns {object|null} The normalized entry, or null if it is unusable
+ */
+function normalizeCustomLog(log) {
+  if (!log || typeof log !== 'object') return null;
+  if (!isBase64(log.logId) || !isBase64(log.key)) return null;
+
+  const type = LOG_TYPES.includes(log.type) ? log.type : 'rfc6962';
+  const url = isHttpsUrl(log.url) ? log.url.replace(/\/+$/, '') + '/' : null;
+  const monitoringUrl = isHttpsUrl(log.monitoringUrl) ? log.monitoringUrl.replace(/\/+$/, '') + '/' : null;
+  if (type === 'rfc6962' ? !url : !monitoringUrl) return null;
+
+  return {
+    description: typeof log.description === 'string' && log.description.trim() ? log.description.trim() : 'Custom log',
+    logId: log.logId.trim(),
+    key: log.key.trim(),
+    url,
+    type,
+    mmd: Number.isInteger(log.mmd) && log.mmd > 0 ? log.mmd : DEFAULT_CUSTOM_LOG_MMD,
+    monitoringUrl: type === 'static-ct' ? monitoringUrl : null
+  };
+}
+
+/**
+ * Drops the custom logs whose log ID is not the SHA-256 of their key. The
+ * signature of every SCT from such a log would fail to verify, which reads as
+ * an attack rather than a configuration mistake.
+ * @param {object} settings - Normalized settings
+ * @returns {Promise<object>} The settings without those logs
+ */
+async function dropMismatchedCustomLogs(settings) {
+  if (!settings.customLogs?.length) return settings;
+
+  const customLogs = [];
+  for (const log of settings.customLogs) {
+    const digest = await crypto.subtle.digest('SHA-256', Convert.FromBase64(log.key));
+    if (Convert.ToHex(digest) === Convert.ToHex(Convert.FromBase64(log.logId))) {
+      customLogs.push(log);
+    } else {
+      console.warn(`[CT Guard] Ignoring custom log ${log.description}: its log ID is not the SHA-256 of its key (expected ${Convert.ToBase64(digest)})`);
+    }
+  }
+  return { ...settings, customLogs };
+}
+
+function isBase64(value) {
+  return typeof value === 'string' && /^[A-Za-z0-9+/]+={0,2}$/.test(value.trim());
+}
+
+function isHttpsUrl(value) {
+  try {
+    return new URL(value).protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+export {
+  STORAGE_KEY as SETTINGS_STORAGE_KEY,
+  DEFAULT_SETTINGS,
+  DEMO_LOG_LIST_URL,
+  GOOGLE_LOG_LIST_URL,
+  loadSettings,
+  saveSettings,
+  normalizeSettings
+};
@@ -0,0 +1,78 @@
+/**
+ * Site Rules Module
+ *
+ * Per-host rules that change how CT Guard treats a site. A rule applies to a
+ * hostname, or with *.example.com to example.com and all of its subdomains.
+ *
+ * Actions:
+ *   ignore  - the site is not verified and never warned about (e.g. intranet
+ *             hosts with a private CA that issues no SCTs)
+ *   warn    - failures only show a warning, even when all sites are enforced
+ *   enforce - navigations are held until verified and blocked on a hard failure
+ *   strict  - as enforce, and verified under the strict verification policy
+ */
+
+const SITE_RULE_ACTIONS = ['ignore', 'warn', 'enforce', 'strict'];
+
+/**
+ * Validates a rule.
+ * @param {object} rule - { pattern, action }
+ * @returns {object|null} The normalized rule, or null if it is unusable
+ */
+function normalizeSiteRule(rule) {
+  if (!rule || typeof rule !== 'object') return null;
+  const pattern = normalizeHostPattern(rule.pattern);
+  if (!pattern || !SITE_RULE_ACTIONS.includes(rule.action)) return null;
+  return { pattern, action: rule.action };
+}
+
+/**
+ * Validates a host pattern: a hostname, or *.domain for all its subdomains.
+ * @returns {string|null} The lowercased pattern, or null if invalid
+ */
+function normalizeHostPattern(pattern) {
+  if (typeof pattern !== 'string') return null;
+  const value = pattern.trim().toLowerCase();
+  return /^(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)*$/.test(value) ? value : null;
+}
+
+/**
+ * Whether a hostname matches a host pattern. *.example.com matches
+ * example.com and all of its subdomains.
+ */
+function matchesHostPattern(hostname, pattern) {
+  if (pattern.startsWith('*.')) {
+    const domain = pattern.slice(2);
+    return hostname === domain || hostname.endsWith(`.${domain}`);
+  }
+  return hostname === pattern;
+}
+
+/**
+ * Finds the rule for a hostname. An exact hostname rule wins over wildcards,
+ * and a wildcard for a longer domain over one for a shorter domain.
+ * @param {string} hostname
+ * @param {object[]} rules - Normalized rules
+ * @returns {object|null} The matching rule
+ */
+function findSiteRule(hostname, rules) {
+  let best = null;
+  for (const rule of rules) {
+    if (!matchesHostPattern(hostname, rule.pattern)) continue;
+    if (!best || ruleSpecificity(rule) > ruleSpecificity(best)) best = rule;
+  }
+  return best;
+}
+
+function ruleSpecificity(rule) {
+  // Exact patterns rank above any wildcard of the same or a shorter domain
+  return rule.pattern.startsWith('*.') ? rule.pattern.length - 2 : rule.pattern.length + 1;
+}
+
+export {
+  SITE_RULE_ACTIONS,
+  normalizeSiteRule,
+  normalizeHostPattern,
+  matchesHostPattern,
+  findSiteRule
+};
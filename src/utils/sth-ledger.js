@@ -0,0 +1,78 @@
+/**
+ * STH Ledger Module
+ *
+ * Persists the tree heads (STHs / checkpoints) this client has verified
+ * inclusion proofs against, per log, in extension storage. Later tree heads
+ * are checked against this history, so a log presenting different views to
+ * this client over time is detected even without a monitor backend.
+ */
+
+import { Convert } from 'pvtsutils';
+
+const STORAGE_KEY = 'sthLedger';
+
+/**
+ * Tree heads kept per log (the largest tree sizes seen)
+ */
+const MAX_ENTRIES_PER_LOG = 64;
+
+/**
+ * Serializes read-modify-write access to the stored ledger
+ */
+let ledgerLock = Promise.resolve();
+
+function withLedger(fn) {
+  const run = ledgerLock.then(async () => {
+    const stored = await browser.storage.local.get(STORAGE_KEY);
+    const ledger = stored[STORAGE_KEY] || {};
+    const { result, changed } = await fn(ledger);
+    if (changed) {
+      await browser.storage.local.set({ [STORAGE_KEY]: ledger });
+    }
+    return result;
+  });
+  ledgerLock = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Returns the tree heads recorded for a log, largest tree first.
+ * @param {string} logId - Hex log ID
+ * @returns {Promise<Array<{treeSize: number, rootHash: Uint8Array, timestamp: number|null, seenAt: number}>>}
+ */
+function getSTHs(logId) {
+  return withLedger(ledger => ({
+    result: (ledger[logId] || []).map(entry => ({
+      ...entry,
+      rootHash: new Uint8Array(Convert.FromBase64(entry.rootHash))
+    })),
+    changed: false
+  }));
+}
+
+/**
+ * Records a verified tree head for a log. A tree head already in the
+ * ledger (same size and root) is not duplicated.
+ * @param {string} logId - Hex log ID
+ * @param {object} sth - { treeSize, rootHash: Uint8Array, timestamp }
+ * @param {number} [now] - Current time in ms
+ * @returns {Promise<void>}
+ */
+function recordSTH(logId, sth, now = Date.now()) {
+  return withLedger(ledger => {
+    const rootHash = Convert.ToBase64(sth.rootHash);
+    const entries = ledger[logId] || [];
+    if (entries.some(e => e.treeSize === sth.treeSize && e.rootHash === rootHash)) {
+      return { result: undefined, changed: false };
+    }
+
+    entries.push({ treeSize: sth.treeSize, rootHash, timestamp: sth.timestamp ?? null, seenAt: now });
+    entries.sort((a, b) => b.treeSize - a.treeSize);
+    ledger[logId] = entries.slice(0, MAX_ENTRIES_PER_LOG);
+    return { result: undefined, changed: true };
+  });
+}
+
+export default { getSTHs, recordSTH };
+
+export { getSTHs, recordSTH };
@@ -0,0 +1,123 @@
+/**
+ * Verdict Module
+ *
+ * Grades a certificate's verification results into a single verdict that the
+ * badge, the in-page toast and the popup all display. Computed once here so
+ * they cannot disagree.
+ *
+ * Levels, from best to worst:
+ *   verified      - the policy passed and every SCT counted towards it
+ *   partial       - the policy passed, some SCTs did not count
+ *   pending       - no SCT verified yet, all are within their log's MMD
+ *   unverifiable  - the policy did not pass, but nothing contradicts the certificate
+ *                   (logs or monitors unreachable, unsupported logs, ...)
+ *   suspicious    - a log or SCT answer does not fit the certificate, or the
+ *                   certificate's issuer is not one the user allowed for the site
+ *   attack        - cryptographic evidence of misbehaviour (forged signature or
+ *                   proof, inconsistent log views)
+ */
+
+const VERDICT_LEVELS = ['verified', 'partial', 'pending', 'unverifiable', 'suspicious', 'attack'];
+
+/**
+ * Reason codes that prove misbehaviour by a log or an attacker
+ */
+const ATTACK_REASONS = ['bad_sct_signature', 'bad_sth_signature', 'proof_mismatch', 'inconsistent'];
+
+/**
+ * Reason codes that do not fit a correctly logged certificate but are not
+ * cryptographic proof of an attack
+ */
+const SUSPICIOUS_REASONS = [
+  'not_found_in_log',
+  'sct_in_future',
+  'sct_before_not_before',
+  'outside_temporal_interval',
+  'sct_after_retirement',
+  'issuer_not_allowed'
+];
+
+const VERDICT_TITLES = {
+  verified: 'Certificate publicly logged',
+  partial: 'Certificate partially verified',
+  pending: 'Awaiting log merge',
+  unverifiable: 'Certificate could not be verified',
+  suspicious: 'Suspicious certificate transparency data',
+  attack: 'Certificate transparency attack detected'
+};
+
+/**
+ * Titles used instead of the level's title when every SCT failed for the same
+ * reason that is not the certificate's fault
+ */
+const UNIFORM_REASON_TITLES = {
+  log_metadata_unavailable: 'Log metadata unavailable',
+  unknown_log: 'SCTs from unknown logs'
+};
+
+/**
+ * Computes the verdict for a verification result.
+ * @param {object} verification - { total, results, policy } from verifyCertificateSCTs,
+ *   with issuerPin (from checkIssuerPin) if the site has an allowed-issuer rule
+ * @returns {{level: string, title: string, summary: string, reasons: string[]}}
+ *   reasons are the distinct PoI reasons and PoC statuses that kept SCTs from verifying
+ */
+function computeVerdict(verification) {
+  const { total, results = [], policy, issuerPin } = verification;
+  const reasons = collectReasons(results);
+  if (policy && !policy.passed) reasons.push('policy_not_met');
+  if (issuerPin?.matched === false) reasons.push('issuer_not_allowed');
+
+  // Which SCTs count as verified is decided by the policy alone
+  const verifiedCount = policy?.counted ?? 0;
+
+  let level;
+  if (reasons.some(reason => ATTACK_REASONS.includes(reason))) {
+    level = 'attack';
+  } else if (reasons.some(reason => SUSPICIOUS_REASONS.includes(reason))) {
+    level = 'suspicious';
+  } else if (policy?.passed) {
+    level = verifiedCount >= total ? 'verified' : 'partial';
+  } else if (results.length > 0 && results.every(r => r.poi.reason === 'pending_merge')) {
+    level = 'pending';
+  } else {
+    level = 'unverifiable';
+  }
+
+  // Nothing could be checked at all (no log list, only unknown logs); say so instead of a generic title
+  const uniformReason = Object.keys(UNIFORM_REASON_TITLES)
+    .find(reason => results.length > 0 && results.every(r => r.poi.reason === reason));
+
+  let title = uniformReason ? UNIFORM_REASON_TITLES[uniformReason] : VERDICT_TITLES[level];
+  if (issuerPin?.matched === false && level !== 'attack') {
+    title = 'Certificate issuer not allowed';
+  }
+
+  return {
+    level,
+    title,
+    summary: `${verifiedCount}/${total} SCTs verified`,
+    reasons
+  };
+}
+
+function collectReasons(results) {
+  const reasons = new Set();
+  for (const { poi, poc } of results) {
+    if (!poi.verified && poi.reason) {
+      reasons.add(poi.reason);
+      continue;
+    }
+    if (poi.verified && poi.sctSignature === 'unchecked') {
+      reasons.add('sct_signature_unchecked');
+    }
+    if (poi.verified && poc?.status === 'error') {
+      reasons.add('monitor_error');
+    } else if (poi.verified && poc?.status && poc.status !== 'consistent' && poc.status !== 'skipped') {
+      reasons.add(poc.status);
+    }
+  }
+  return [...reasons];
+}
+
+export { VERDICT_LEVELS, computeVerdict };
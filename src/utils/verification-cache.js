@@ -0,0 +1,128 @@
+/**
+ * Verification Cache Module
+ *
+ * In-memory LRU cache of certificate verifications, keyed by the SHA-256
+ * fingerprint of the leaf certificate. A certificate served to several tabs or
+ * hosts is verified once; tab and host entries only keep its fingerprint.
+ *
+ * Entries expire after a TTL that depends on the verdict: a verified
+ * certificate is trusted for hours, while a failure is re-verified soon so
+ * that a transient log or monitor problem does not stick.
+ */
+
+import { Convert } from 'pvtsutils';
+
+const DEFAULT_MAX_ENTRIES = 256;
+
+/**
+ * Time to live by verdict level, in milliseconds
+ */
+const VERDICT_TTL_MS = {
+  verified: 6 * 60 * 60 * 1000,
+  partial: 60 * 60 * 1000,
+  pending: 10 * 60 * 1000,
+  unverifiable: 5 * 60 * 1000,
+  suspicious: 2 * 60 * 1000,
+  attack: 2 * 60 * 1000
+};
+
+/**
+ * Time to live of entries that are not (yet) verified, or whose verification failed
+ */
+const UNVERIFIED_TTL_MS = 10 * 60 * 1000;
+const ERROR_TTL_MS = 60 * 1000;
+
+class VerificationCache {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.maxEntries] - Least recently used entries beyond this are evicted
+   * @param {function(string): void} [options.onEvict] - Called with the fingerprint of
+   *   each entry that is evicted or expires
+   */
+  constructor({ maxEntries = DEFAULT_MAX_ENTRIES, onEvict = () => {} } = {}) {
+    this.maxEntries = maxEntries;
+    this.onEvict = onEvict;
+    this.entries = new Map();
+  }
+
+  /**
+   * Returns an unexpired entry and marks it as most recently used.
+   * @param {string} fingerprint - Hex SHA-256 of the leaf certificate
+   * @returns {object|null} { certificates, scts, verificationStatus, sctVerification, expiresAt }
+   */
+  get(fingerprint) {
+    const entry = this.entries.get(fingerprint);
+    if (!entry) return null;
+
+    // An entry being verified does not expire under its caller
+    if (entry.expiresAt <= Date.now() && !entry.pending) {
+      this.delete(fingerprint);
+      return null;
+    }
+
+    this.entries.delete(fingerprint);
+    this.entries.set(fingerprint, entry);
+    return entry;
+  }
+
+  /**
+   * Adds an entry as most recently used, evicting the least recently used ones.
+   * @returns {object} The entry
+   */
+  set(fingerprint, entry) {
+    this.entries.delete(fingerprint);
+    entry.expiresAt = Date.now() + getTTL(entry);
+    this.entries.set(fingerprint, entry);
+
+    for (const oldest of this.entries.keys()) {
+      if (this.entries.size <= this.maxEntries) break;
+      this.delete(oldest);
+    }
+    return entry;
+  }
+
+  /**
+   * Restarts an entry's TTL after its verification status or verdict changed
+   */
+  refresh(fingerprint) {
+    const entry = this.entries.get(fingerprint);
+    if (entry) entry.expiresAt = Date.now() + getTTL(entry);
+  }
+
+  delete(fingerprint) {
+    if (this.entries.delete(fingerprint)) this.onEvict(fingerprint);
+  }
+
+  clear() {
+    for (const fingerprint of [...this.entries.keys()]) {
+      this.delete(fingerprint);
+    }
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
+
+function getTTL(entry) {
+  switch (entry.verificationStatus) {
+    case 'complete':
+      return VERDICT_TTL_MS[entry.sctVerification.verdict.level] ?? ERROR_TTL_MS;
+    case 'error':
+      return ERROR_TTL_MS;
+    default:
+      return UNVERIFIED_TTL_MS;
+  }
+}
+
+/**
+ * SHA-256 fingerprint of a DER certificate.
+ * @param {ArrayBuffer|Uint8Array|number[]} rawDER
+ * @returns {Promise<string>} Hex fingerprint
+ */
+async function getCertificateFingerprint(rawDER) {
+  const digest = await crypto.subtle.digest('SHA-256', new Uint8Array(rawDER));
+  return Convert.ToHex(digest);
+}
+
+export { VerificationCache, VERDICT_TTL_MS, getCertificateFingerprint };
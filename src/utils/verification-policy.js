@@ -0,0 +1,140 @@
+/**
+ * Verification Policy Module
+ *
+ * Decides which per-SCT results count towards the verdict and how many are
+ * needed. The checks themselves (PoI, consistency) are the same under every
+ * policy; a policy only changes how their outcomes are weighed.
+ */
+
+/**
+ * PoC statuses meaning no monitor could vouch for the log's tree
+ */
+const MONITOR_UNAVAILABLE = ['no_monitor_sth', 'error'];
+
+/**
+ * PoI reasons meaning the log could not be asked, as opposed to a log answer
+ * that contradicts the SCT
+ */
+const LOG_UNAVAILABLE = ['log_unreachable', 'log_error'];
+
+/**
+ * Built-in verification policies.
+ *
+ * minVerifiedSCTs - SCTs that must count for the verdict to pass
+ * requireConsistency - only SCTs with a consistent PoC count ('skipped' does not)
+ * requireSCTSignature - only SCTs whose signature verified against the log key count
+ *   (not those left unchecked for lack of a usable key or algorithm)
+ * countUnsupportedLogs - validly signed SCTs from log types CT Guard cannot query count
+ * countRetiredLogs - validly signed SCTs from retired logs that no longer serve their tree count
+ * monitorUnavailable - SCTs whose consistency no monitor could check:
+ *   'count' (they count), 'discount' (they do not count) or 'fail' (the verdict fails)
+ */
+const VERIFICATION_POLICIES = {
+  lenient: {
+    id: 'lenient',
+    name: 'Lenient',
+    minVerifiedSCTs: 1,
+    requireConsistency: false,
+    requireSCTSignature: false,
+    countUnsupportedLogs: true,
+    countRetiredLogs: true,
+    monitorUnavailable: 'count'
+  },
+  default: {
+    id: 'default',
+    name: 'Default',
+    minVerifiedSCTs: 1,
+    requireConsistency: false,
+    requireSCTSignature: true,
+    countUnsupportedLogs: false,
+    countRetiredLogs: false,
+    monitorUnavailable: 'discount'
+  },
+  strict: {
+    id: 'strict',
+    name: 'Strict',
+    minVerifiedSCTs: 2,
+    requireConsistency: true,
+    requireSCTSignature: true,
+    countUnsupportedLogs: false,
+    countRetiredLogs: false,
+    monitorUnavailable: 'fail'
+  }
+};
+
+/**
+ * Resolves a policy given by ID or as a policy object; unknown IDs fall back
+ * to the default policy.
+ * @param {string|object} [policy]
+ * @returns {object} Policy object
+ */
+function getVerificationPolicy(policy) {
+  if (policy && typeof policy === 'object') {
+    return { ...VERIFICATION_POLICIES.default, ...policy };
+  }
+  return VERIFICATION_POLICIES[policy] || VERIFICATION_POLICIES.default;
+}
+
+/**
+ * Applies a verification policy to per-SCT results.
+ * @param {Array<object>} results - Per-SCT results ({ sct, poi, poc })
+ * @param {string|object} [policy] - Policy ID or object
+ * @returns {{id: string, name: string, passed: boolean, counted: number, required: number, reasons: string[]}}
+ */
+function evaluateVerificationPolicy(results, policy) {
+  const p = getVerificationPolicy(policy);
+  const reasons = [];
+  let counted = 0;
+  let monitorFailure = false;
+  let uncheckedSignatures = 0;
+
+  for (const { sct, poi, poc } of results) {
+    const validlySigned = poi.sctSignature === 'valid';
+
+    if (!poi.verified) {
+      if (p.countUnsupportedLogs && validlySigned && poi.reason === 'unsupported_log_type') {
+        counted++;
+      } else if (p.countRetiredLogs && validlySigned && sct.logState?.retired && LOG_UNAVAILABLE.includes(poi.reason)) {
+        counted++;
+      }
+      continue;
+    }
+
+    if (p.requireSCTSignature && !validlySigned) {
+      // Inclusion of an SCT whose signature was never checked says nothing about the certificate
+      uncheckedSignatures++;
+      continue;
+    }
+
+    const status = poc?.status;
+    if (status === 'consistent') {
+      counted++;
+    } else if (status === 'skipped') {
+      if (!p.requireConsistency) counted++;
+    } else if (MONITOR_UNAVAILABLE.includes(status)) {
+      if (p.monitorUnavailable === 'count') counted++;
+      if (p.monitorUnavailable === 'fail') monitorFailure = true;
+    }
+  }
+
+  if (counted < p.minVerifiedSCTs) {
+    reasons.push(`${counted} SCT${counted === 1 ? '' : 's'} verified, ${p.minVerifiedSCTs} required`);
+  }
+  if (uncheckedSignatures > 0) {
+    reasons.push(`${uncheckedSignatures} SCT${uncheckedSignatures === 1 ? '' : 's'} not counted: signature could not be checked`);
+  }
+  if (monitorFailure) {
+    reasons.push('Consistency could not be checked by any monitor for a verified SCT');
+  }
+
+  return {
+    id: p.id,
+    name: p.name,
+    passed: counted >= p.minVerifiedSCTs && !monitorFailure,
+    counted,
+    required: p.minVerifiedSCTs,
+    reasons
+  };
+}
+
+export { VERIFICATION_POLICIES, getVerificationPolicy, evaluateVerificationPolicy };